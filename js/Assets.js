@@ -0,0 +1,194 @@
+// Assets.js - Downloads and caches game files through one LoadingManager, with progress and retries
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { ASSET_SETTINGS } from './data/assets.js';
+
+// Gone or forbidden stays that way, only timeouts, rate limits, server and
+// network errors are worth another try
+function isRetryable(error) {
+    const status = error && error.response ? error.response.status : 0;
+    return !(status >= 400 && status < 500) || status === 408 || status === 429;
+}
+
+function describeError(error) {
+    if (error && error.response) {
+        return `HTTP ${error.response.status}${error.response.statusText ? ` ${error.response.statusText}` : ''}`;
+    }
+    return (error && error.message) || String(error) || 'Unknown error';
+}
+
+// Every download goes through here so the loading screen can show it.
+// Required files that still fail after the automatic retries wait for
+// retryFailed() instead of rejecting; optional ones give up and reject.
+// Dispatches 'change' whenever a file's progress or state changes.
+export class AssetLoader extends EventTarget {
+    constructor(settings = ASSET_SETTINGS) {
+        super();
+        this.settings = settings;
+
+        // One manager for every loader, including the textures inside GLBs
+        this.manager = new THREE.LoadingManager();
+        this.bufferLoader = new THREE.FileLoader(this.manager).setResponseType('arraybuffer');
+        this.jsonLoader = new THREE.FileLoader(this.manager).setResponseType('json');
+        this.audioLoader = new THREE.AudioLoader(this.manager);
+        this.gltfLoader = new GLTFLoader(this.manager);
+
+        // The manager's counts only grow, so files are counted from where
+        // the manager last went from idle to busy
+        this.fileCount = { loaded: 0, total: 0 };
+        let start = 0;
+        this.manager.onStart = (url, loaded, total) => {
+            start = loaded;
+            this.countFiles(loaded - start, total - start);
+        };
+        this.manager.onProgress = (url, loaded, total) => this.countFiles(loaded - start, total - start);
+
+        this.files = new Map(); // url -> promise of the downloaded file
+        this.status = new Map(); // url -> { url, label, required, background, state, loaded, total, attempts, error }
+        this.batch = new Set(); // urls shown on the loading screen, reset once they have all settled
+    }
+
+    // Preloads a manifest such as ASSET_MANIFEST; failures are on the loading screen
+    preload(entries) {
+        entries.forEach(entry => this.load(entry.url, entry).catch(() => {}));
+    }
+
+    // Models resolve with a freshly parsed glTF each time, so a map can be
+    // entered again after it was disposed; audio with an AudioBuffer and
+    // json with the parsed data. Files are only downloaded once.
+    load(url, { type = 'json', label = url, required = false, background = false } = {}) {
+        this.track(url, { label, required, background });
+        if (!this.files.has(url)) {
+            const file = this.download(url, type);
+            this.files.set(url, file);
+
+            // A file that gave up may be asked for again later
+            file.catch(() => this.files.delete(url));
+        }
+
+        const file = this.files.get(url);
+        return type === 'model' ? file.then(buffer => this.parseModel(buffer, url)) : file;
+    }
+
+    // Drops a downloaded file, e.g. one that arrived but couldn't be read
+    forget(url) {
+        this.files.delete(url);
+    }
+
+    // Asking for a file again can make it required or bring it out of the background
+    track(url, { label, required, background }) {
+        let item = this.status.get(url);
+        if (!item) {
+            item = { url, label, required, background, state: 'waiting', loaded: 0, total: 0, attempts: 0, error: null, retry: null };
+            this.status.set(url, item);
+        } else {
+            item.required = item.required || required;
+            item.background = item.background && background;
+        }
+
+        if (!item.background && !this.batch.has(url)) {
+            if (this.isSettled()) {
+                this.batch.clear();
+            }
+            this.batch.add(url);
+        }
+        this.changed();
+        return item;
+    }
+
+    download(url, type) {
+        const item = this.status.get(url);
+        const loader = type === 'audio' ? this.audioLoader : type === 'json' ? this.jsonLoader : this.bufferLoader;
+        item.attempts = 0;
+
+        return new Promise((resolve, reject) => {
+            const attempt = () => {
+                item.state = 'loading';
+                item.attempts++;
+                item.loaded = 0;
+                this.changed();
+
+                loader.load(url, (data) => {
+                    item.state = 'done';
+                    item.error = null;
+                    this.changed();
+                    resolve(data);
+                }, (event) => {
+                    // Servers that don't send a length report a total of zero
+                    item.loaded = event.loaded;
+                    item.total = event.lengthComputable ? event.total : 0;
+                    this.changed();
+                }, (error) => {
+                    item.error = describeError(error);
+                    if (item.attempts <= this.settings.retries && isRetryable(error)) {
+                        item.state = 'retrying';
+                        setTimeout(attempt, this.settings.retryDelay * 2 ** (item.attempts - 1) * 1000);
+                        console.warn(`Could not load ${url} (${item.error}), retrying`);
+                    } else if (item.required) {
+                        item.state = 'failed';
+                        item.retry = attempt;
+                        console.error(`Could not load ${url}:`, error);
+                    } else {
+                        item.state = 'failed';
+                        console.warn(`Could not load ${url} (${item.error}), going without it`);
+                        reject(error);
+                    }
+                    this.changed();
+                });
+            };
+            attempt();
+        });
+    }
+
+    parseModel(buffer, url) {
+        return new Promise((resolve, reject) => {
+            this.gltfLoader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url), resolve, reject);
+        });
+    }
+
+    // Required files that gave up start over, automatic retries included
+    retryFailed() {
+        this.status.forEach(item => {
+            if (item.state !== 'failed' || !item.retry) return;
+            const retry = item.retry;
+            item.retry = null;
+            item.attempts = 0;
+            retry();
+        });
+    }
+
+    getBatch() {
+        return [...this.batch].map(url => this.status.get(url)).filter(item => !item.background);
+    }
+
+    // Done and given-up files; required failures still wait for a retry
+    isSettled() {
+        return this.getBatch().every(item => item.state === 'done' || (item.state === 'failed' && !item.required));
+    }
+
+    getFailures() {
+        return this.getBatch().filter(item => item.state === 'failed');
+    }
+
+    // Fraction of the batch that is in, counting the bytes of files under way
+    // when their size is known
+    getProgress() {
+        const items = this.getBatch();
+        if (items.length === 0) return 1;
+
+        const total = items.reduce((sum, item) => {
+            if (item.state === 'done' || (item.state === 'failed' && !item.required)) return sum + 1;
+            return sum + (item.total > 0 ? Math.min(1, item.loaded / item.total) : 0);
+        }, 0);
+        return total / items.length;
+    }
+
+    countFiles(loaded, total) {
+        this.fileCount = { loaded, total };
+        this.changed();
+    }
+
+    changed() {
+        this.dispatchEvent(new CustomEvent('change'));
+    }
+}
@@ -1,104 +1,267 @@
 // Audio.js - Game audio management
+import * as THREE from 'three';
+import { AssetLoader } from './Assets.js';
+import { SOUND_MANIFEST } from './data/assets.js';
+
 export class AudioManager {
-    constructor() {
-        this.sounds = {};
-        this.music = null;
+    constructor(assets = new AssetLoader(), manifestPath = SOUND_MANIFEST) {
+        this.assets = assets; // sounds are optional, the game plays on without any that fail
+        this.manifestPath = manifestPath;
+        this.sounds = {}; // name -> { config, buffers }
+        this.loops = {}; // looping sources by sound name
         this.volume = 0.5;
         this.musicVolume = 0.3;
+        this.ambienceVolume = 0.4;
+        this.masterVolume = 1;
         this.soundsEnabled = true;
         this.musicEnabled = true;
-        
-        this.initSounds();
-    }
-    
-    initSounds() {
-        // Define common sounds
-        this.loadSound('footstep', 'sounds/footstep.mp3');
-        this.loadSound('paperRustle', 'sounds/paper_rustle.mp3');
-        this.loadSound('stampSound', 'sounds/stamp.mp3');
-        this.loadSound('promotionSound', 'sounds/promotion.mp3');
-        this.loadSound('errorSound', 'sounds/error.mp3');
-        
-        // Load background music
-        this.loadMusic('sounds/office_ambience.mp3');
-    }
-    
-    loadSound(name, path) {
-        try {
-            const audio = new Audio(path);
-            audio.volume = this.volume;
-            this.sounds[name] = audio;
-        } catch (e) {
-            console.error(`Failed to load sound: ${path}`, e);
+        this.muted = false;
+        this.ducking = { level: 0.35, attack: 0.3, release: 1.5 };
+        this.isDucked = false;
+
+        // The listener owns the AudioContext and the master gain
+        this.listener = new THREE.AudioListener();
+        this.context = this.listener.context;
+
+        // Separate buses so each category has its own volume
+        this.buses = {
+            sfx: this.createBus(this.volume),
+            music: this.createBus(this.musicVolume),
+            ambience: this.createBus(this.ambienceVolume)
+        };
+
+        // Resolves once the manifest has been read and its bus volumes set
+        this.ready = this.initSounds();
+    }
+
+    createBus(volume) {
+        const bus = this.context.createGain();
+        bus.gain.value = volume;
+        bus.connect(this.listener.getInput());
+        return bus;
+    }
+
+    // Attach the listener so positional sounds are heard from the camera
+    attachListener(camera) {
+        if (this.listener.parent) {
+            this.listener.parent.remove(this.listener);
         }
+        camera.add(this.listener);
     }
-    
-    loadMusic(path) {
+
+    async initSounds() {
+        let manifest;
         try {
-            this.music = new Audio(path);
-            this.music.volume = this.musicVolume;
-            this.music.loop = true;
+            manifest = await this.assets.load(this.manifestPath, { type: 'json', label: 'Sound list' });
         } catch (e) {
-            console.error(`Failed to load music: ${path}`, e);
+            // Missing manifest just means a silent game
+            console.warn(`Sound manifest unavailable (${this.manifestPath}):`, e.message);
+            return;
+        }
+
+        if (manifest.buses) {
+            this.setMasterVolume(manifest.buses.master ?? this.masterVolume);
+            this.setVolume(manifest.buses.sfx ?? this.volume);
+            this.setMusicVolume(manifest.buses.music ?? this.musicVolume);
+            this.setAmbienceVolume(manifest.buses.ambience ?? this.ambienceVolume);
+        }
+        if (manifest.ducking) {
+            Object.assign(this.ducking, manifest.ducking);
+        }
+
+        for (const name in manifest.sounds) {
+            this.loadSound(name, manifest.sounds[name]);
+        }
+    }
+
+    loadSound(name, config) {
+        const entry = { config: { bus: 'sfx', volume: 1, ...config }, buffers: [] };
+        this.sounds[name] = entry;
+
+        // Every file is one variant in the pool; missing ones are skipped
+        config.files.forEach(path => {
+            this.assets.load(path, { type: 'audio', label: `Sound: ${name}` })
+                .then((buffer) => {
+                    entry.buffers.push(buffer);
+
+                    // Loops requested before the buffer arrived start now
+                    if (entry.config.loop && this.loops[name] === null) {
+                        this.startLoop(name);
+                    }
+                })
+                .catch(() => {}); // the asset loader has already warned
+        });
+    }
+
+    pickBuffer(name) {
+        const entry = this.sounds[name];
+        if (!entry || entry.buffers.length === 0) return null;
+        return entry.buffers[Math.floor(Math.random() * entry.buffers.length)];
+    }
+
+    // Options: object (follow a scene object), position (one-off point in world), volume
+    playSound(name, options = {}) {
+        if (!this.soundsEnabled) return null;
+
+        const buffer = this.pickBuffer(name);
+        if (!buffer) return null;
+
+        const config = this.sounds[name].config;
+        const positional = config.positional && (options.object || options.position);
+        const sound = positional
+            ? new THREE.PositionalAudio(this.listener)
+            : new THREE.Audio(this.listener);
+
+        // Route through the sound's bus instead of straight to master
+        sound.gain.disconnect();
+        sound.gain.connect(this.buses[config.bus] || this.buses.sfx);
+
+        sound.setBuffer(buffer);
+        sound.setVolume(config.volume * (options.volume ?? 1));
+
+        let parent = null;
+        if (positional) {
+            sound.setRefDistance(config.refDistance ?? 1);
+
+            if (options.object) {
+                parent = options.object;
+            } else {
+                // One-off sounds get an anchor at the position they happened
+                parent = new THREE.Object3D();
+                parent.position.copy(options.position);
+                this.listener.parent?.parent?.add(parent);
+            }
+            parent.add(sound);
+        }
+
+        sound.onEnded = () => {
+            sound.isPlaying = false;
+            if (parent) {
+                parent.remove(sound);
+                if (!options.object && parent.parent) {
+                    parent.parent.remove(parent);
+                }
+            }
+            sound.disconnect();
+        };
+
+        sound.play();
+        return sound;
+    }
+
+    startLoop(name) {
+        const buffer = this.pickBuffer(name);
+        if (!buffer) {
+            // Remember the request until the file has loaded
+            this.loops[name] = null;
+            return;
         }
+
+        const config = this.sounds[name].config;
+        const sound = new THREE.Audio(this.listener);
+        sound.gain.disconnect();
+        sound.gain.connect(this.buses[config.bus] || this.buses.music);
+        sound.setBuffer(buffer);
+        sound.setLoop(true);
+        sound.setVolume(config.volume);
+        sound.play();
+        this.loops[name] = sound;
     }
-    
-    playSound(name) {
-        if (!this.soundsEnabled || !this.sounds[name]) return;
-        
-        // Create a new audio instance to allow for overlapping sounds
-        const sound = this.sounds[name].cloneNode();
-        sound.volume = this.volume;
-        sound.play()
-            .catch(e => console.warn(`Error playing sound ${name}:`, e));
-    }
-    
+
+    stopLoop(name) {
+        const sound = this.loops[name];
+        if (sound) {
+            sound.stop();
+            sound.disconnect();
+        }
+        delete this.loops[name];
+    }
+
+    // Browsers keep the AudioContext suspended until a user gesture
+    resume() {
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
     playMusic() {
-        if (!this.musicEnabled || !this.music) return;
-        
-        this.music.play()
-            .catch(e => console.warn('Error playing music:', e));
+        if (!this.musicEnabled) return;
+
+        for (const name in this.sounds) {
+            const config = this.sounds[name].config;
+            if (config.loop && !(name in this.loops)) {
+                this.startLoop(name);
+            }
+        }
     }
-    
+
     pauseMusic() {
-        if (this.music) {
-            this.music.pause();
+        for (const name in this.loops) {
+            this.stopLoop(name);
         }
     }
-    
+
+    // Lower the music while combat is going on
+    duckMusic(ducked) {
+        if (ducked === this.isDucked) return;
+        this.isDucked = ducked;
+
+        const gain = this.buses.music.gain;
+        const now = this.context.currentTime;
+        const target = ducked ? this.musicVolume * this.ducking.level : this.musicVolume;
+        const time = ducked ? this.ducking.attack : this.ducking.release;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(target, now + time);
+    }
+
+    setBusVolume(bus, volume) {
+        const gain = this.buses[bus].gain;
+        gain.cancelScheduledValues(this.context.currentTime);
+        gain.setValueAtTime(volume, this.context.currentTime);
+    }
+
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+        this.listener.setMasterVolume(this.muted ? 0 : this.masterVolume);
+    }
+
     setVolume(volume) {
         this.volume = Math.max(0, Math.min(1, volume));
-        
-        // Update all loaded sounds
-        for (const sound in this.sounds) {
-            if (this.sounds.hasOwnProperty(sound)) {
-                this.sounds[sound].volume = this.volume;
-            }
-        }
+        this.setBusVolume('sfx', this.volume);
     }
-    
+
     setMusicVolume(volume) {
         this.musicVolume = Math.max(0, Math.min(1, volume));
-        
-        if (this.music) {
-            this.music.volume = this.musicVolume;
-        }
+        this.setBusVolume('music', this.isDucked ? this.musicVolume * this.ducking.level : this.musicVolume);
+    }
+
+    setAmbienceVolume(volume) {
+        this.ambienceVolume = Math.max(0, Math.min(1, volume));
+        this.setBusVolume('ambience', this.ambienceVolume);
+    }
+
+    toggleMute() {
+        this.muted = !this.muted;
+        this.listener.setMasterVolume(this.muted ? 0 : this.masterVolume);
+        return this.muted;
     }
-    
+
     toggleSounds() {
         this.soundsEnabled = !this.soundsEnabled;
         return this.soundsEnabled;
     }
-    
+
     toggleMusic() {
         this.musicEnabled = !this.musicEnabled;
-        
-        if (this.musicEnabled && this.music) {
+
+        if (this.musicEnabled) {
             this.playMusic();
-        } else if (!this.musicEnabled && this.music) {
+        } else {
             this.pauseMusic();
         }
-        
+
         return this.musicEnabled;
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,60 @@
+// BindingsMenu.js - Key and gamepad rebinding shown on the pause menu
+export class BindingsMenu {
+    constructor(input) {
+        this.input = input;
+        this.element = document.getElementById('bindings-menu');
+
+        this.input.addEventListener('bindingsChanged', () => this.render());
+
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['Action', 'Keyboard / mouse', 'Gamepad'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        Object.keys(this.input.actions).forEach(action => {
+            const row = table.insertRow();
+            row.insertCell().textContent = this.input.actions[action].label;
+            row.insertCell().appendChild(this.createBindButton(action, 'keyboard'));
+            row.insertCell().appendChild(this.createBindButton(action, 'gamepad'));
+        });
+        this.element.appendChild(table);
+
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset bindings';
+        reset.addEventListener('click', () => this.input.resetBindings());
+        this.element.appendChild(reset);
+    }
+
+    createBindButton(action, device) {
+        const button = document.createElement('button');
+        button.className = 'binding';
+        button.textContent = this.describeBinding(action, device);
+
+        // The click itself is over before capture starts, so it isn't taken as the new binding
+        button.addEventListener('click', () => {
+            button.textContent = device === 'gamepad' ? 'Press a button…' : 'Press a key…';
+            button.classList.add('waiting');
+            this.input.captureNext(action, device, (input) => {
+                // Cancelled with Escape, a new binding re-renders the whole table
+                if (!input) this.render();
+            });
+        });
+        return button;
+    }
+
+    describeBinding(action, device) {
+        const inputs = this.input.bindings[action][device];
+        return inputs.length > 0
+            ? inputs.map(input => this.input.describeInput(input)).join(' / ')
+            : '—';
+    }
+}
@@ -0,0 +1,150 @@
+// Career.js - Player career stats and rank progression
+import { CAREER_RANKS, CAREER_SETTINGS } from './data/career.js';
+
+export class CareerStats extends EventTarget {
+    constructor(ranks = CAREER_RANKS, settings = CAREER_SETTINGS) {
+        super();
+        this.ranks = ranks;
+        this.settings = settings;
+
+        // Starting values
+        this.bureaucracyLevel = settings.startingLevel;
+        this.influence = settings.startingInfluence;
+        this.maxStamina = settings.maxStamina;
+        this.stamina = settings.maxStamina;
+        this.rankIndex = this.getRankIndexForLevel(this.bureaucracyLevel);
+        this.failureStreak = 0;
+    }
+
+    get rank() {
+        return this.ranks[this.rankIndex].title;
+    }
+
+    getRankIndexForLevel(level) {
+        let index = 0;
+        for (let i = 0; i < this.ranks.length; i++) {
+            if (level >= this.ranks[i].minLevel) index = i;
+        }
+        return index;
+    }
+
+    getNextRank() {
+        return this.ranks[this.rankIndex + 1] || null;
+    }
+
+    setStat(stat, value) {
+        const previous = this[stat];
+        if (previous === value) return;
+
+        this[stat] = value;
+        this.dispatchEvent(new CustomEvent('change', { detail: { stat, value, previous } }));
+    }
+
+    setInfluence(value) {
+        this.setStat('influence', Math.max(0, value));
+    }
+
+    setStamina(value) {
+        this.setStat('stamina', Math.max(0, Math.min(this.maxStamina, value)));
+    }
+
+    setBureaucracyLevel(value) {
+        this.setStat('bureaucracyLevel', Math.max(0, Math.floor(value)));
+    }
+
+    addInfluence(amount) {
+        this.setInfluence(this.influence + amount);
+    }
+
+    spendStamina(amount) {
+        if (this.stamina < amount) return false;
+        this.setStamina(this.stamina - amount);
+        return true;
+    }
+
+    // The player passes a regen rate changed by status effects
+    update(deltaTime, regenRate = this.settings.staminaRegenRate) {
+        if (this.stamina < this.maxStamina) {
+            this.setStamina(this.stamina + regenRate * deltaTime);
+        }
+    }
+
+    recordSuccess(reward) {
+        this.failureStreak = 0;
+        this.addInfluence(reward);
+        this.setBureaucracyLevel(this.bureaucracyLevel + 1);
+
+        // Promote through every threshold the new level has passed
+        let next = this.getNextRank();
+        while (next && this.bureaucracyLevel >= next.minLevel) {
+            this.promote();
+            next = this.getNextRank();
+        }
+    }
+
+    recordFailure() {
+        this.failureStreak++;
+        this.setStamina(this.stamina - this.settings.failurePenalty);
+
+        if (this.failureStreak >= this.settings.failuresBeforeDemotion) {
+            this.failureStreak = 0;
+            // There is no rank below the first, so that's the end of the career
+            if (!this.demote()) {
+                this.dispatchEvent(new CustomEvent('fired', { detail: { rank: this.rank } }));
+            }
+        }
+    }
+
+    serialize() {
+        return {
+            bureaucracyLevel: this.bureaucracyLevel,
+            influence: this.influence,
+            stamina: this.stamina,
+            rankIndex: this.rankIndex,
+            failureStreak: this.failureStreak
+        };
+    }
+
+    deserialize(data) {
+        const previousRank = this.rank;
+        this.rankIndex = Math.max(0, Math.min(this.ranks.length - 1, data.rankIndex));
+        this.failureStreak = data.failureStreak;
+        this.setBureaucracyLevel(data.bureaucracyLevel);
+        this.setInfluence(data.influence);
+        this.setStamina(data.stamina);
+
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: { stat: 'rank', value: this.rank, previous: previousRank }
+        }));
+    }
+
+    promote() {
+        if (this.rankIndex >= this.ranks.length - 1) return false;
+
+        const previousRank = this.rank;
+        this.rankIndex++;
+        // Keep the level consistent with the rank when promoted directly
+        this.setBureaucracyLevel(Math.max(this.bureaucracyLevel, this.ranks[this.rankIndex].minLevel));
+
+        this.dispatchEvent(new CustomEvent('promoted', { detail: { rank: this.rank, previousRank } }));
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: { stat: 'rank', value: this.rank, previous: previousRank }
+        }));
+        return true;
+    }
+
+    demote() {
+        if (this.rankIndex === 0) return false;
+
+        const previousRank = this.rank;
+        this.rankIndex--;
+        // Drop back to the start of the lower rank so it has to be earned again
+        this.setBureaucracyLevel(this.ranks[this.rankIndex].minLevel);
+
+        this.dispatchEvent(new CustomEvent('demoted', { detail: { rank: this.rank, previousRank } }));
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: { stat: 'rank', value: this.rank, previous: previousRank }
+        }));
+        return true;
+    }
+}
@@ -0,0 +1,87 @@
+// ChallengePanel.js - HUD panel for the paperwork challenge minigame
+export class ChallengePanel {
+    constructor(combat) {
+        this.combat = combat;
+        this.input = combat.player.input; // a replay gives the player a scripted input with no key names
+        this.element = document.getElementById('challenge-panel');
+        this.hideTimeout = null;
+
+        this.bindEventListeners();
+    }
+
+    bindEventListeners() {
+        document.addEventListener('challengeStarted', (event) => this.show(event.detail.challenge));
+        document.addEventListener('challengeUpdated', (event) => this.render(event.detail.challenge));
+        document.addEventListener('challengeTimer', (event) => this.renderTimer(event.detail.challenge));
+        document.addEventListener('challengeResolved', (event) => this.showResult(event.detail));
+        // Redraw when the selected stamp or the keys named in the help line change
+        const refresh = () => {
+            if (this.combat.activeChallenge) {
+                this.render(this.combat.activeChallenge);
+            }
+        };
+        document.addEventListener('selectionChanged', refresh);
+        this.input.addEventListener('bindingsChanged', refresh);
+    }
+
+    show(challenge) {
+        clearTimeout(this.hideTimeout);
+        this.element.style.display = 'block';
+        this.render(challenge);
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    render(challenge) {
+        const fields = challenge.form.fields.map((field, index) => {
+            const stamp = field.stamp
+                ? `<span class="field-stamp" style="color: ${this.getStampCss(field.stamp)}">${field.stamp.toUpperCase()}</span>`
+                : '<span class="field-stamp empty">—</span>';
+            return `<li><span class="field-key">${index + 1}</span> ${field.label} ${stamp}</li>`;
+        }).join('');
+
+        const stampType = this.combat.selectedStampType;
+        const input = this.input;
+        const lastSlot = `slot${challenge.form.fields.length}`;
+        this.element.innerHTML = `
+            <h3>${challenge.type}</h3>
+            <div class="challenge-timer"></div>
+            <ol>${fields}</ol>
+            <p class="challenge-help">
+                Stamp: <strong style="color: ${this.getStampCss(stampType)}">${stampType}</strong> (${input.getLabel('cycleStamp')} to change)<br>
+                ${input.getLabel('slot1')}-${input.getLabel(lastSlot)} stamp a field, ${input.getLabel('submitChallenge')} to submit
+            </p>
+        `;
+        this.renderTimer(challenge);
+    }
+
+    renderTimer(challenge) {
+        const timer = this.element.querySelector('.challenge-timer');
+        if (timer) {
+            timer.textContent = `${Math.max(0, Math.ceil(challenge.timeRemaining))}s remaining`;
+        }
+    }
+
+    showResult({ success, score, reward, cancelled }) {
+        // Dropped without grading when the world is reset
+        if (cancelled) {
+            clearTimeout(this.hideTimeout);
+            this.hide();
+            return;
+        }
+
+        const percent = Math.round(score * 100);
+        this.element.innerHTML = success
+            ? `<h3>Approved!</h3><p>${percent}% correct, +${reward} influence</p>`
+            : `<h3>Rejected</h3><p>${percent}% correct, stamina lost</p>`;
+
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => this.hide(), 2500);
+    }
+
+    getStampCss(stampType) {
+        return `#${this.combat.getStampColor(stampType).toString(16).padStart(6, '0')}`;
+    }
+}
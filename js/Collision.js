@@ -0,0 +1,69 @@
+// Collision.js - Triangle octree for player collision queries
+import * as THREE from 'three';
+import { Octree } from 'three/addons/math/Octree.js';
+
+export class CollisionWorld {
+    constructor() {
+        this.octree = new Octree();
+        this.triangleCount = 0;
+        this.ray = new THREE.Ray();
+    }
+
+    // Build once from the map's collidable meshes, in world space
+    static fromMeshes(meshes) {
+        const world = new CollisionWorld();
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+
+        meshes.forEach(mesh => {
+            if (!mesh.geometry || !mesh.geometry.attributes.position) return;
+
+            mesh.updateMatrixWorld(true);
+            const position = mesh.geometry.attributes.position;
+            const index = mesh.geometry.index;
+            const count = index ? index.count : position.count;
+
+            for (let i = 0; i + 2 < count; i += 3) {
+                const i0 = index ? index.getX(i) : i;
+                const i1 = index ? index.getX(i + 1) : i + 1;
+                const i2 = index ? index.getX(i + 2) : i + 2;
+
+                a.fromBufferAttribute(position, i0).applyMatrix4(mesh.matrixWorld);
+                b.fromBufferAttribute(position, i1).applyMatrix4(mesh.matrixWorld);
+                c.fromBufferAttribute(position, i2).applyMatrix4(mesh.matrixWorld);
+
+                world.octree.addTriangle(new THREE.Triangle(a.clone(), b.clone(), c.clone()));
+                world.triangleCount++;
+            }
+        });
+
+        if (world.triangleCount > 0) {
+            world.octree.build();
+        }
+        return world;
+    }
+
+    // Returns { normal, depth } pushing the capsule out of the geometry, or false
+    capsuleIntersect(capsule) {
+        if (this.triangleCount === 0) return false;
+        return this.octree.capsuleIntersect(capsule);
+    }
+
+    // Nearest hit within `far`, with the surface normal of the triangle hit
+    raycast(origin, direction, far) {
+        if (this.triangleCount === 0) return null;
+
+        this.ray.set(origin, direction);
+        const result = this.octree.rayIntersect(this.ray);
+        if (!result || result.distance > far) return null;
+
+        // Face the normal back towards the ray regardless of winding
+        const normal = result.triangle.getNormal(new THREE.Vector3());
+        if (normal.dot(direction) > 0) {
+            normal.negate();
+        }
+
+        return { distance: result.distance, point: result.position, normal };
+    }
+}
@@ -1,23 +1,64 @@
 // Combat.js - Combat and challenge system
 import * as THREE from 'three';
+import { PaperworkForm } from './Paperwork.js';
+import { PAPERWORK_SETTINGS } from './data/paperwork.js';
+import { DOCUMENT_TYPES } from './data/inventory.js';
+import { STAMP_ABILITIES } from './data/stamps.js';
+import { EffectsManager } from './Effects.js';
+import { ObjectPool } from './Pool.js';
+import { emit } from './Events.js';
 
 export class Combat {
-    constructor(player, scene) {
+    // random rolls challenges, effectsRandom only decides how effects look
+    constructor(player, scene, random = Math.random, effectsRandom = random) {
         this.player = player;
         this.scene = scene;
+        this.random = random;
         this.activeProjectiles = [];
         this.activeStamps = [];
+        this.stampCooldowns = {}; // seconds left per stamp type
         this.combatActive = false;
         this.activeChallenge = null;
         this.challengeLevel = 1;
+        this.targets = [];
+        this.collidableObjects = [];
+        this.raycaster = new THREE.Raycaster();
+        this.projectileStep = new THREE.Vector3();
         
-        // Combat settings
-        this.projectileSpeed = 0.5;
+        // Hit bursts and stamp rings animate and retire on their own
+        this.effects = new EffectsManager(scene, effectsRandom);
+        
+        // Projectiles and stamps are pooled, sharing one geometry and a material per type
+        this.projectileGeometry = new THREE.BoxGeometry(0.3, 0.4, 0.05);
+        this.stampGeometry = new THREE.CylinderGeometry(0.2, 0.2, 0.1, 8);
+        this.materials = {};
+        this.projectilePool = new ObjectPool(
+            () => new THREE.Mesh(this.projectileGeometry),
+            (projectile, documentType) => {
+                projectile.material = this.getMaterial('document', documentType);
+                projectile.rotation.set(0, 0, 0);
+            }
+        );
+        this.stampPool = new ObjectPool(
+            () => new THREE.Mesh(this.stampGeometry),
+            (stamp, stampType) => {
+                stamp.material = this.getMaterial('stamp', stampType);
+            }
+        );
+        
+        // Combat settings, document speeds live in data/inventory.js and
+        // status effects on the player modify speed, damage and stamp limits
         this.projectileLifetime = 2000; // milliseconds
         this.stampDuration = 1000; // milliseconds
         this.maxProjectiles = 5;
         this.maxStamps = 3;
         
+        // Ammunition and stamp selection, counts are kept in the player's inventory
+        this.documentTypes = Object.keys(DOCUMENT_TYPES);
+        this.stampTypes = Object.keys(STAMP_ABILITIES);
+        this.selectedDocumentType = this.documentTypes[0];
+        this.selectedStampType = this.stampTypes[0];
+        
         // Paperwork difficulty tiers
         this.difficulties = [
             'Basic Form',
@@ -31,144 +72,332 @@ export class Combat {
     startCombat() {
         this.combatActive = true;
         console.log('Combat initiated!');
+        
+        emit('combatChanged', { active: true });
     }
 
     endCombat() {
+        // Walking away from an encounter hands in the form as it stands
+        if (this.activeChallenge) {
+            this.submitChallenge();
+        }
+        
         this.combatActive = false;
         this.clearProjectiles();
         this.clearStamps();
         console.log('Combat ended!');
+        
+        emit('combatChanged', { active: false });
+    }
+
+    // Drops open paperwork without grading it, and clears cooldowns and effects,
+    // for putting the world back to a known state
+    reset() {
+        if (this.activeChallenge) {
+            this.dispatchChallengeEvent('challengeResolved', { cancelled: true });
+            this.activeChallenge = null;
+        }
+        this.stampCooldowns = {};
+        this.stampTypes.forEach(stampType => this.dispatchStampCooldown(stampType));
+        this.effects.clear();
+    }
+
+    cycleDocumentType(step = 1) {
+        const count = this.documentTypes.length;
+        const index = this.documentTypes.indexOf(this.selectedDocumentType);
+        this.selectedDocumentType = this.documentTypes[(index + step + count) % count];
+        this.dispatchSelectionChanged();
+        return this.selectedDocumentType;
+    }
+
+    selectDocumentType(documentType) {
+        if (!this.documentTypes.includes(documentType)) return false;
+        
+        this.selectedDocumentType = documentType;
+        this.dispatchSelectionChanged();
+        return true;
+    }
+
+    cycleStampType(step = 1) {
+        const count = this.stampTypes.length;
+        const index = this.stampTypes.indexOf(this.selectedStampType);
+        this.selectedStampType = this.stampTypes[(index + step + count) % count];
+        this.dispatchSelectionChanged();
+        return this.selectedStampType;
+    }
+
+    dispatchSelectionChanged() {
+        emit('selectionChanged', { documentType: this.selectedDocumentType, stampType: this.selectedStampType });
+    }
+
+    addTarget(target) {
+        if (!this.targets.includes(target)) {
+            this.targets.push(target);
+        }
+    }
+
+    removeTarget(target) {
+        const index = this.targets.indexOf(target);
+        if (index > -1) {
+            this.targets.splice(index, 1);
+        }
     }
 
     throwDocument(player, documentType, target) {
-        if (!this.combatActive || this.activeProjectiles.length >= this.maxProjectiles) {
+        if (!this.combatActive || this.getOwnProjectileCount() >= this.maxProjectiles) {
+            return false;
+        }
+        if (!player.inventory.remove('documents', documentType)) {
             return false;
         }
 
-        const projectile = this.createProjectile(documentType);
-        projectile.position.copy(player.mesh.position);
-        projectile.position.y += 1.5; // Start at chest height
+        const stats = DOCUMENT_TYPES[documentType];
+        // Start from the player's eyes so it flies along the crosshair ray,
+        // in third person this is still the character, not the camera
+        const origin = player.position;
 
-        // Calculate direction to target
-        const direction = new THREE.Vector3()
-            .subVectors(target.position, projectile.position)
-            .normalize();
-        
-        projectile.userData.direction = direction;
-        projectile.userData.creationTime = Date.now();
+        // Lob the document so that its arc still comes down on the target
+        const velocity = new THREE.Vector3().subVectors(target.position, origin);
+        const speed = player.statusEffects.modify('projectileSpeed', stats.speed);
+        const flightTime = velocity.length() / speed;
+        velocity.normalize().multiplyScalar(speed);
+        velocity.y += 0.5 * stats.gravity * flightTime;
+
+        const projectile = this.launchProjectile(documentType, origin, velocity, player.statusEffects.modify('damage', stats.damage));
+        emit('documentThrown', { documentType, position: projectile.position.clone(), velocity: velocity.clone() });
+        return true;
+    }
+
+    // A document in flight; other players' in a match are `remote` and don't
+    // count against the player's own limit
+    launchProjectile(documentType, origin, velocity, damage, remote = false) {
+        const projectile = this.createProjectile(documentType);
+        projectile.position.copy(origin);
+        projectile.userData.velocity = velocity.clone();
+        projectile.userData.gravity = DOCUMENT_TYPES[documentType].gravity;
+        projectile.userData.age = 0; // milliseconds of simulation time
         projectile.userData.documentType = documentType;
+        projectile.userData.damage = damage;
+        projectile.userData.remote = remote;
 
         this.scene.add(projectile);
         this.activeProjectiles.push(projectile);
-        return true;
+        this.dispatchProjectilesChanged();
+        return projectile;
+    }
+
+    getOwnProjectileCount() {
+        return this.activeProjectiles.filter(projectile => !projectile.userData.remote).length;
     }
 
     createProjectile(documentType) {
-        const geometry = new THREE.BoxGeometry(0.3, 0.4, 0.05);
-        const material = new THREE.MeshStandardMaterial({ 
-            color: this.getDocumentColor(documentType),
-            metalness: 0.1,
-            roughness: 0.8
-        });
-        return new THREE.Mesh(geometry, material);
+        return this.projectilePool.acquire(documentType);
+    }
+
+    // One shared material per document or stamp type
+    getMaterial(kind, type) {
+        const key = `${kind}:${type}`;
+        if (!this.materials[key]) {
+            this.materials[key] = kind === 'document'
+                ? new THREE.MeshStandardMaterial({ color: this.getDocumentColor(type), metalness: 0.1, roughness: 0.8 })
+                : new THREE.MeshStandardMaterial({ color: this.getStampColor(type), metalness: 0.8, roughness: 0.2 });
+        }
+        return this.materials[key];
     }
 
     getDocumentColor(documentType) {
-        const colors = {
-            'form': 0xFFFFFF,
-            'report': 0xFFFF00,
-            'memo': 0x00FF00,
-            'contract': 0xFF0000,
-            'permit': 0x0000FF
-        };
-        return colors[documentType] || 0xFFFFFF;
+        return (DOCUMENT_TYPES[documentType] || DOCUMENT_TYPES.form).color;
+    }
+
+    getMaxStamps() {
+        return Math.round(this.player.statusEffects.modify('maxStamps', this.maxStamps));
+    }
+
+    getStampCooldown(stampType) {
+        return this.stampCooldowns[stampType] || 0;
     }
 
     useStamp(player, stampType, position) {
-        if (!this.combatActive || this.activeStamps.length >= this.maxStamps) {
+        if (!this.combatActive || this.activeStamps.length >= this.getMaxStamps()) {
+            return false;
+        }
+
+        const ability = STAMP_ABILITIES[stampType];
+        let failure = null;
+        if (this.getStampCooldown(stampType) > 0) {
+            failure = 'cooldown';
+        } else if (!player.inventory.has('stamps', stampType)) {
+            failure = 'ink';
+        } else if (player.career.stamina < ability.staminaCost) {
+            failure = 'stamina';
+        }
+        if (failure) {
+            emit('stampFailed', { stampType, reason: failure });
             return false;
         }
 
+        player.inventory.remove('stamps', stampType);
+        player.career.spendStamina(ability.staminaCost);
+        this.stampCooldowns[stampType] = ability.cooldown;
+        this.dispatchStampCooldown(stampType);
+
+        // Self-targeted stamps buff the player, the rest act where they land
+        if (ability.playerEffect) {
+            player.statusEffects.apply(ability.playerEffect);
+        }
+
         const stamp = this.createStamp(stampType);
         stamp.position.copy(position);
-        stamp.userData.creationTime = Date.now();
+        stamp.userData.age = 0; // milliseconds of simulation time
         stamp.userData.stampType = stampType;
 
         this.scene.add(stamp);
         this.activeStamps.push(stamp);
+        this.dispatchStampsChanged();
+        this.createStampEffect(position, stampType);
+
+        emit('stampUsed', { stampType, position: stamp.position.clone(), radius: ability.radius });
         return true;
     }
 
     createStamp(stampType) {
-        const geometry = new THREE.CylinderGeometry(0.2, 0.2, 0.1, 8);
-        const material = new THREE.MeshStandardMaterial({ 
-            color: this.getStampColor(stampType),
-            metalness: 0.8,
-            roughness: 0.2
-        });
-        return new THREE.Mesh(geometry, material);
+        return this.stampPool.acquire(stampType);
     }
 
     getStampColor(stampType) {
-        const colors = {
-            'approved': 0x00FF00,
-            'rejected': 0xFF0000,
-            'pending': 0xFFFF00,
-            'urgent': 0xFF00FF,
-            'confidential': 0x0000FF
-        };
-        return colors[stampType] || 0xFFFFFF;
+        return STAMP_ABILITIES[stampType] ? STAMP_ABILITIES[stampType].color : 0xFFFFFF;
     }
 
     update(deltaTime) {
+        // Cooldowns and effects carry on between encounters
+        this.updateStampCooldowns(deltaTime);
+        this.effects.update(deltaTime);
+
         if (!this.combatActive) return;
 
-        this.updateProjectiles();
-        this.updateStamps();
+        this.updateProjectiles(deltaTime);
+        this.updateStamps(deltaTime);
 
         // Update active challenge if there is one
         if (this.activeChallenge) {
+            const previousSeconds = Math.ceil(this.activeChallenge.timeRemaining);
             this.activeChallenge.timeRemaining -= deltaTime;
             
             if (this.activeChallenge.timeRemaining <= 0) {
-                this.resolveChallenge(false);
+                // Time's up, grade whatever has been stamped so far
+                this.submitChallenge();
+            } else if (Math.ceil(this.activeChallenge.timeRemaining) !== previousSeconds) {
+                this.dispatchChallengeEvent('challengeTimer');
             }
         }
     }
 
-    updateProjectiles() {
+    updateProjectiles(deltaTime) {
         for (let i = this.activeProjectiles.length - 1; i >= 0; i--) {
             const projectile = this.activeProjectiles[i];
+            const velocity = projectile.userData.velocity;
+            velocity.y -= projectile.userData.gravity * deltaTime;
+            
+            const direction = this.projectileStep.copy(velocity).normalize();
+            const distance = velocity.length() * deltaTime;
+            
+            // Check the path travelled this step for hits before moving; other
+            // players' documents only stop at walls, their server says who they hit
+            const targets = projectile.userData.remote ? [] : this.targets;
+            const hit = this.findProjectileHit(projectile.position, direction, distance, targets);
+            if (hit) {
+                this.handleProjectileHit(projectile, hit);
+                continue;
+            }
             
             // Move projectile
-            projectile.position.add(projectile.userData.direction.multiplyScalar(this.projectileSpeed));
+            projectile.position.addScaledVector(direction, distance);
             
             // Rotate projectile to face direction of travel
-            projectile.lookAt(projectile.position.clone().add(projectile.userData.direction));
+            projectile.lookAt(projectile.position.clone().add(direction));
             
             // Check lifetime
-            if (Date.now() - projectile.userData.creationTime > this.projectileLifetime) {
+            projectile.userData.age += deltaTime * 1000;
+            if (projectile.userData.age > this.projectileLifetime) {
                 this.removeProjectile(projectile);
             }
         }
     }
 
-    updateStamps() {
+    findProjectileHit(origin, direction, distance, targets = this.targets) {
+        this.raycaster.set(origin, direction);
+        this.raycaster.far = distance;
+        
+        const hits = [
+            ...this.raycaster.intersectObjects(targets, true),
+            ...this.raycaster.intersectObjects(this.collidableObjects, false)
+        ];
+        if (hits.length === 0) return null;
+        
+        hits.sort((a, b) => a.distance - b.distance);
+        return hits[0];
+    }
+
+    findTargetForObject(object) {
+        // Hits report the leaf mesh, walk up to the registered target
+        while (object) {
+            if (this.targets.includes(object)) return object;
+            object = object.parent;
+        }
+        return null;
+    }
+
+    handleProjectileHit(projectile, hit) {
+        const documentType = projectile.userData.documentType;
+        const damage = projectile.userData.damage;
+        const target = this.findTargetForObject(hit.object);
+        
+        this.removeProjectile(projectile);
+        
+        // Every landing is reported for effects, hits on targets also for the target
+        emit('documentLanded', { documentType, point: hit.point.clone(), target });
+        if (target) {
+            emit('documentHit', { target, documentType, damage, point: hit.point.clone() });
+        }
+    }
+
+    updateStamps(deltaTime) {
         for (let i = this.activeStamps.length - 1; i >= 0; i--) {
             const stamp = this.activeStamps[i];
             
             // Check duration
-            if (Date.now() - stamp.userData.creationTime > this.stampDuration) {
+            stamp.userData.age += deltaTime * 1000;
+            if (stamp.userData.age > this.stampDuration) {
                 this.removeStamp(stamp);
             }
         }
     }
 
+    updateStampCooldowns(deltaTime) {
+        for (const stampType in this.stampCooldowns) {
+            const previousSeconds = Math.ceil(this.stampCooldowns[stampType]);
+            this.stampCooldowns[stampType] -= deltaTime;
+
+            if (this.stampCooldowns[stampType] <= 0) {
+                delete this.stampCooldowns[stampType];
+                this.dispatchStampCooldown(stampType);
+            } else if (Math.ceil(this.stampCooldowns[stampType]) !== previousSeconds) {
+                this.dispatchStampCooldown(stampType);
+            }
+        }
+    }
+
+    dispatchStampCooldown(stampType) {
+        emit('stampCooldown', { stampType, remaining: this.getStampCooldown(stampType) });
+    }
+
     removeProjectile(projectile) {
         const index = this.activeProjectiles.indexOf(projectile);
         if (index > -1) {
             this.activeProjectiles.splice(index, 1);
             this.scene.remove(projectile);
+            this.projectilePool.release(projectile);
+            this.dispatchProjectilesChanged();
         }
     }
 
@@ -177,73 +406,55 @@ export class Combat {
         if (index > -1) {
             this.activeStamps.splice(index, 1);
             this.scene.remove(stamp);
+            this.stampPool.release(stamp);
+            this.dispatchStampsChanged();
         }
     }
 
     clearProjectiles() {
         this.activeProjectiles.forEach(projectile => {
             this.scene.remove(projectile);
+            this.projectilePool.release(projectile);
         });
         this.activeProjectiles = [];
+        this.dispatchProjectilesChanged();
+    }
+
+    dispatchProjectilesChanged() {
+        emit('projectilesChanged', { active: this.getOwnProjectileCount(), max: this.maxProjectiles });
     }
 
     clearStamps() {
         this.activeStamps.forEach(stamp => {
             this.scene.remove(stamp);
+            this.stampPool.release(stamp);
         });
         this.activeStamps = [];
+        this.dispatchStampsChanged();
+    }
+
+    dispatchStampsChanged() {
+        emit('stampsChanged', { active: this.activeStamps.length, max: this.getMaxStamps(), duration: this.stampDuration });
     }
 
     // Combat effects
     createDocumentHitEffect(position, documentType) {
-        const particles = new THREE.Points(
-            new THREE.BufferGeometry(),
-            new THREE.PointsMaterial({
-                color: this.getDocumentColor(documentType),
-                size: 0.1,
-                transparent: true,
-                opacity: 0.8
-            })
-        );
-
-        const particleCount = 20;
-        const positions = new Float32Array(particleCount * 3);
-        const velocities = [];
-
-        for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = position.x;
-            positions[i * 3 + 1] = position.y;
-            positions[i * 3 + 2] = position.z;
-
-            velocities.push(new THREE.Vector3(
-                (Math.random() - 0.5) * 0.2,
-                Math.random() * 0.2,
-                (Math.random() - 0.5) * 0.2
-            ));
-        }
-
-        particles.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        particles.userData.velocities = velocities;
-        particles.userData.creationTime = Date.now();
-
-        this.scene.add(particles);
-        return particles;
+        return this.effects.spawnDocumentHit(position, this.getDocumentColor(documentType));
     }
 
     createStampEffect(position, stampType) {
-        const ringGeometry = new THREE.RingGeometry(0.2, 0.4, 32);
-        const ringMaterial = new THREE.MeshBasicMaterial({
-            color: this.getStampColor(stampType),
-            transparent: true,
-            opacity: 1
-        });
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.position.copy(position);
-        ring.rotation.x = -Math.PI / 2;
-        ring.userData.creationTime = Date.now();
+        return this.effects.spawnStampRing(position, this.getStampColor(stampType), STAMP_ABILITIES[stampType].radius);
+    }
 
-        this.scene.add(ring);
-        return ring;
+    // Counts for the debug display, should stay flat however long a fight goes on
+    getObjectStats() {
+        return {
+            projectiles: this.activeProjectiles.length,
+            stamps: this.activeStamps.length,
+            pooled: this.projectilePool.free.length + this.stampPool.free.length,
+            created: this.projectilePool.created + this.stampPool.created,
+            effects: this.effects.getStats()
+        };
     }
 
     createChallenge() {
@@ -252,53 +463,88 @@ export class Combat {
             this.difficulties.length - 1
         );
         
+        const type = this.difficulties[difficulty];
+        const complexity = Math.floor(this.random() * 5) + 1 + difficulty;
+        
         this.activeChallenge = {
-            type: this.difficulties[difficulty],
-            complexity: Math.floor(Math.random() * 5) + 1 + difficulty,
+            type,
+            complexity,
             timeRemaining: 30 + (difficulty * 10),
-            reward: (difficulty + 1) * 10
+            reward: (difficulty + 1) * 10,
+            form: new PaperworkForm(type, complexity, this.random)
         };
         
+        this.dispatchChallengeEvent('challengeStarted');
         return this.activeChallenge;
     }
+
+    dispatchChallengeEvent(name, extra = {}) {
+        emit(name, { challenge: this.activeChallenge, ...extra });
+    }
+
+    stampChallengeField(index, stampType) {
+        if (!this.activeChallenge || !this.activeChallenge.form.stamp(index, stampType)) {
+            return false;
+        }
+        
+        // Fields can be restamped until the form is submitted or time runs out
+        this.dispatchChallengeEvent('challengeUpdated');
+        return true;
+    }
+
+    submitChallenge() {
+        if (!this.activeChallenge) return;
+        
+        const score = this.activeChallenge.form.grade();
+        this.resolveChallenge(score >= PAPERWORK_SETTINGS.passScore, score);
+    }
     
-    resolveChallenge(success) {
+    resolveChallenge(success, score = success ? 1 : 0) {
         if (!this.activeChallenge) return;
         
+        // Partial credit scales the reward
+        const reward = Math.round(this.activeChallenge.reward * score);
+        
         if (success) {
-            this.player.influence += this.activeChallenge.reward;
-            this.player.bureaucracyLevel += 1;
-            
-            // Maybe promotion
-            if (this.player.bureaucracyLevel % 10 === 0) {
-                this.promotePlayer();
-            }
+            // Grants influence and a level, promoting at rank thresholds
+            this.player.career.recordSuccess(reward);
         } else {
-            // Penalty for failure
-            this.player.bureaucraticStamina -= 10;
+            // Stamina penalty, repeated failures lead to demotion
+            this.player.career.recordFailure();
         }
         
+        this.dispatchChallengeEvent('challengeResolved', { success, score, reward: success ? reward : 0 });
         this.activeChallenge = null;
     }
     
-    promotePlayer() {
-        const ranks = [
-            'Intern',
-            'Junior Clerk',
-            'Clerk',
-            'Senior Clerk',
-            'Assistant Manager',
-            'Deputy Manager',
-            'Manager',
-            'Senior Manager',
-            'Director',
-            'Executive Director'
-        ];
-        
-        const currentRankIndex = ranks.indexOf(this.player.careerRank);
-        if (currentRankIndex < ranks.length - 1) {
-            this.player.careerRank = ranks[currentRankIndex + 1];
-            // TODO: Add promotion celebration effect
+    serialize() {
+        return {
+            selectedDocumentType: this.selectedDocumentType,
+            selectedStampType: this.selectedStampType,
+            stampCooldowns: { ...this.stampCooldowns },
+            challenge: this.activeChallenge
+                ? { ...this.activeChallenge, form: this.activeChallenge.form.toJSON() }
+                : null
+        };
+    }
+
+    deserialize(data) {
+        this.selectedDocumentType = data.selectedDocumentType;
+        this.selectedStampType = data.selectedStampType;
+        this.dispatchSelectionChanged();
+
+        this.stampCooldowns = { ...data.stampCooldowns };
+        this.stampTypes.forEach(stampType => this.dispatchStampCooldown(stampType));
+
+        this.activeChallenge = null;
+        if (data.challenge) {
+            this.activeChallenge = { ...data.challenge, form: PaperworkForm.fromJSON(data.challenge.form) };
+            this.dispatchChallengeEvent('challengeStarted');
         }
     }
+
+    promotePlayer() {
+        // Rank ladder lives in data/career.js, the celebration in data/reactions.js
+        return this.player.career.promote();
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,339 @@
+// DebugOverlay.js - F3 developer overlay with live stats, collider views and test controls
+import * as THREE from 'three';
+import { MAPS } from './data/maps.js';
+
+export class DebugOverlay {
+    constructor(game) {
+        this.game = game;
+        this.element = document.getElementById('debug-overlay');
+        this.visible = false;
+
+        // Text is refreshed a few times a second, helpers every frame
+        this.refreshInterval = 0.25; // seconds
+        this.refreshTimer = 0;
+        this.lastFrameTime = performance.now();
+        this.frameCount = 0;
+        this.frameTimeTotal = 0;
+        this.worstFrameTime = 0;
+        this.fps = 0;
+        this.averageFrameTime = 0;
+        this.reportedWorstFrameTime = 0;
+
+        // Test controls
+        this.influenceGrant = 100;
+        this.groundRayLength = 10; // metres checked below the feet
+        this.groundDistance = null;
+
+        // Clicks here must not fall through to the title screen and start the game
+        this.element.addEventListener('click', (event) => event.stopPropagation());
+
+        this.stats = document.createElement('pre');
+        this.element.appendChild(this.stats);
+        this.controls = document.createElement('div');
+        this.controls.className = 'debug-controls';
+        this.element.appendChild(this.controls);
+        this.buildControls();
+
+        this.createHelpers();
+
+        // Collider outlines belong to the map they were built from
+        document.addEventListener('mapLoaded', () => {
+            if (!this.visible) return;
+            this.buildColliderHelpers();
+            this.renderSpawnOptions();
+        });
+        document.addEventListener('mapUnloaded', () => this.clearColliderHelpers());
+    }
+
+    createHelpers() {
+        this.helpers = new THREE.Group();
+        this.helpers.name = 'DebugHelpers';
+        this.colliderHelpers = new THREE.Group();
+        this.helpers.add(this.colliderHelpers);
+
+        // Collision capsule, the same shape the octree is tested with
+        const player = this.game.player;
+        this.capsuleHelper = new THREE.Mesh(
+            new THREE.CapsuleGeometry(player.collisionRadius, player.height - player.collisionRadius * 2, 4, 8),
+            new THREE.MeshBasicMaterial({ color: 0x00FF00, wireframe: true })
+        );
+        this.helpers.add(this.capsuleHelper);
+
+        // Ground rays: the player's own step and slope probes plus one straight down from the feet
+        this.maxRays = 8;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxRays * 6), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.maxRays * 6), 3));
+        this.rayLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.rayLines.frustumCulled = false;
+        this.helpers.add(this.rayLines);
+        this.rayHitColor = new THREE.Color(0x00FF00);
+        this.rayMissColor = new THREE.Color(0xFF0000);
+        this.rayFeetColor = new THREE.Color(0xFFFF00);
+        this.rayEnd = new THREE.Vector3();
+        this.feet = new THREE.Vector3();
+    }
+
+    buildColliderHelpers() {
+        this.clearColliderHelpers();
+        const office = this.game.office;
+
+        // Boxes follow their objects, so swung doors are redrawn on refresh
+        office.getCollidableObjects().forEach(object => {
+            this.colliderHelpers.add(new THREE.BoxHelper(object, 0x888888));
+        });
+        office.getHazards().forEach(hazard => {
+            this.colliderHelpers.add(new THREE.Box3Helper(hazard.box, new THREE.Color(0xFF9800)));
+        });
+        this.game.encounters.triggers.forEach(trigger => {
+            this.colliderHelpers.add(new THREE.Box3Helper(trigger.box, new THREE.Color(0x9C27B0)));
+        });
+        this.game.npcs.npcs.forEach(npc => {
+            this.colliderHelpers.add(new THREE.BoxHelper(npc.mesh, 0xFF0000));
+        });
+    }
+
+    clearColliderHelpers() {
+        [...this.colliderHelpers.children].forEach(helper => {
+            this.colliderHelpers.remove(helper);
+            helper.geometry.dispose();
+            helper.material.dispose();
+        });
+    }
+
+    buildControls() {
+        const game = this.game;
+
+        // Teleport to a spawn point on this map, or to whatever is under the crosshair
+        this.spawnSelect = document.createElement('select');
+        this.addRow('Teleport',
+            this.spawnSelect,
+            this.createButton('Go', () => game.placePlayerAtSpawn(this.spawnSelect.value)),
+            this.createButton('Crosshair', () => this.teleportToCrosshair())
+        );
+
+        const mapSelect = document.createElement('select');
+        Object.keys(MAPS).forEach(mapId => {
+            mapSelect.appendChild(this.createOption(mapId, MAPS[mapId].name));
+        });
+        this.addRow('Map',
+            mapSelect,
+            this.createButton('Load', () => {
+                game.changeMap(mapSelect.value).catch(error => console.error('Map change failed:', error));
+            })
+        );
+
+        this.addRow('Toggle',
+            this.createCheckbox('Noclip', false, (checked) => game.player.setNoclip(checked)),
+            this.createCheckbox('Colliders', true, (checked) => {
+                this.colliderHelpers.visible = checked;
+            })
+        );
+
+        this.addRow('Career',
+            this.createButton(`+${this.influenceGrant} influence`, () => {
+                game.player.career.addInfluence(this.influenceGrant);
+            }),
+            this.createButton('Promote', () => game.combat.promotePlayer())
+        );
+
+        this.addRow('Combat',
+            this.createButton('Spawn challenge', () => this.spawnChallenge())
+        );
+    }
+
+    addRow(label, ...children) {
+        const row = document.createElement('div');
+        const name = document.createElement('span');
+        name.className = 'debug-label';
+        name.textContent = label;
+        row.appendChild(name);
+        children.forEach(child => row.appendChild(child));
+        this.controls.appendChild(row);
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createOption(value, text) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        return option;
+    }
+
+    createCheckbox(text, checked, onChange) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.addEventListener('change', () => onChange(input.checked));
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(text));
+        return label;
+    }
+
+    renderSpawnOptions() {
+        this.spawnSelect.innerHTML = '';
+        Object.keys(this.game.office.spawnPoints).forEach(name => {
+            this.spawnSelect.appendChild(this.createOption(name, name));
+        });
+    }
+
+    teleportToCrosshair() {
+        const game = this.game;
+        const hit = game.getCrosshairHit(100);
+        if (!hit) return false;
+
+        // Stop short of the surface so the capsule isn't placed inside it
+        const ray = game.aimRaycaster.ray;
+        const position = hit.point.clone().addScaledVector(ray.direction, -0.5);
+        const yaw = new THREE.Euler().setFromQuaternion(game.player.head.quaternion, 'YXZ').y;
+        game.player.teleport(position, yaw);
+        return true;
+    }
+
+    spawnChallenge() {
+        // Challenges only tick during combat, so start one outside an encounter too
+        const combat = this.game.combat;
+        if (!combat.combatActive) {
+            combat.startCombat();
+        }
+        return combat.activeChallenge || combat.createChallenge();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.style.display = visible ? 'block' : 'none';
+
+        if (visible) {
+            this.game.scene.add(this.helpers);
+            this.buildColliderHelpers();
+            this.renderSpawnOptions();
+            this.refreshTimer = 0;
+        } else {
+            this.game.scene.remove(this.helpers);
+        }
+    }
+
+    // Called once per rendered frame, after rendering so renderer.info describes that frame
+    update() {
+        const now = performance.now();
+        const frameTime = now - this.lastFrameTime;
+        this.lastFrameTime = now;
+
+        this.frameCount++;
+        this.frameTimeTotal += frameTime;
+        this.worstFrameTime = Math.max(this.worstFrameTime, frameTime);
+
+        this.updateHelpers();
+
+        this.refreshTimer -= frameTime / 1000;
+        if (this.refreshTimer > 0) return;
+        this.refreshTimer = this.refreshInterval;
+
+        this.fps = this.frameCount * 1000 / this.frameTimeTotal;
+        this.averageFrameTime = this.frameTimeTotal / this.frameCount;
+        this.reportedWorstFrameTime = this.worstFrameTime;
+        this.frameCount = 0;
+        this.frameTimeTotal = 0;
+        this.worstFrameTime = 0;
+
+        this.colliderHelpers.children.forEach(helper => {
+            if (helper.isBoxHelper) helper.update();
+        });
+        this.render();
+    }
+
+    updateHelpers() {
+        const player = this.game.player;
+        const feet = player.getFeetPosition(this.feet);
+        this.capsuleHelper.position.copy(feet);
+        this.capsuleHelper.position.y += player.height / 2;
+
+        const positions = this.rayLines.geometry.attributes.position;
+        const colors = this.rayLines.geometry.attributes.color;
+        let count = 0;
+
+        const addRay = (origin, end, color) => {
+            positions.setXYZ(count * 2, origin.x, origin.y, origin.z);
+            positions.setXYZ(count * 2 + 1, end.x, end.y, end.z);
+            colors.setXYZ(count * 2, color.r, color.g, color.b);
+            colors.setXYZ(count * 2 + 1, color.r, color.g, color.b);
+            count++;
+        };
+
+        // Distance to whatever is below, the same query the ground snap uses
+        this.groundDistance = null;
+        if (player.collisionWorld) {
+            const hit = player.collisionWorld.raycast(feet, player.down, this.groundRayLength);
+            this.groundDistance = hit ? hit.distance : null;
+            this.rayEnd.copy(feet).addScaledVector(player.down, hit ? hit.distance : this.groundRayLength);
+            addRay(feet, this.rayEnd, this.rayFeetColor);
+        }
+
+        player.groundProbes.slice(0, this.maxRays - count).forEach(probe => {
+            this.rayEnd.copy(probe.origin).addScaledVector(player.down, probe.hit ? probe.hit.distance : probe.far);
+            addRay(probe.origin, this.rayEnd, probe.hit ? this.rayHitColor : this.rayMissColor);
+        });
+
+        this.rayLines.geometry.setDrawRange(0, count * 2);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+
+    render() {
+        const game = this.game;
+        const player = game.player;
+        const info = game.renderer.info;
+        const stats = game.combat.getObjectStats();
+        const format = (vector) => vector.toArray().map(value => value.toFixed(2)).join(', ');
+
+        let sceneObjects = 0;
+        game.scene.traverse(() => sceneObjects++);
+
+        const lines = [
+            `FPS: ${this.fps.toFixed(0)}  Frame: ${this.averageFrameTime.toFixed(1)} ms (worst ${this.reportedWorstFrameTime.toFixed(1)})`,
+            `Draw calls: ${info.render.calls}  Triangles: ${info.render.triangles}`,
+            `Geometries: ${info.memory.geometries}  Textures: ${info.memory.textures}  Scene objects: ${sceneObjects}`,
+            '',
+            `Position: ${format(player.position)}`,
+            `Velocity: ${format(player.velocity)}  (${player.velocity.length().toFixed(2)} m/s)`,
+            `Grounded: ${player.isOnGround ? 'yes' : 'no'}` +
+                `  Ground: ${this.groundDistance === null ? 'none' : `${this.groundDistance.toFixed(2)} m`}` +
+                (player.noclip ? '  NOCLIP' : ''),
+            `Map: ${game.office.mapId || 'none'}${game.office.isLoading ? ' (loading)' : ''}  State: ${game.states.currentName}`,
+            '',
+            `Combat: ${game.combat.combatActive ? 'active' : 'idle'}`,
+            `Projectiles: ${stats.projectiles}  Stamps: ${stats.stamps}  (pooled ${stats.pooled}/${stats.created})`,
+            `Effects: ${stats.effects.active}  (pooled ${stats.effects.pooled}/${stats.effects.created})`
+        ];
+
+        game.combat.activeProjectiles.forEach(projectile => {
+            lines.push(`  document at ${format(projectile.position)}`);
+        });
+        game.combat.activeStamps.forEach(stamp => {
+            lines.push(`  stamp at ${format(stamp.position)}`);
+        });
+
+        const challenge = game.combat.activeChallenge;
+        if (challenge) {
+            const stamped = challenge.form.fields.filter(field => field.stamp).length;
+            lines.push(`Challenge: ${challenge.type}, ${stamped}/${challenge.form.fields.length} fields, ` +
+                `${challenge.timeRemaining.toFixed(1)} s left`);
+        } else {
+            lines.push('Challenge: none');
+        }
+
+        lines.push(`Coworkers: ${game.npcs.npcs.length}`);
+        game.npcs.npcs.forEach(npc => {
+            lines.push(`  ${npc.name}: ${npc.state}`);
+        });
+
+        this.stats.textContent = lines.join('\n');
+    }
+}
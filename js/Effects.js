@@ -0,0 +1,152 @@
+// Effects.js - Short visual effects that animate, fade out and retire
+import * as THREE from 'three';
+import { ObjectPool } from './Pool.js';
+import { STAMP_EFFECT_SETTINGS } from './data/stamps.js';
+
+export class EffectsManager {
+    constructor(scene, random = Math.random) {
+        this.scene = scene;
+        this.random = random;
+        this.active = []; // { object, pool, age, duration, update }
+
+        // Paper scraps bursting from where a document lands
+        this.hitDuration = 0.5; // seconds
+        this.hitParticleCount = 20;
+        this.hitSpeed = 3; // m/s
+        this.hitGravity = 6; // m/s²
+
+        // Geometry is shared, materials are per object because each fades on its own
+        this.ringGeometry = new THREE.RingGeometry(0.2, 0.4, 32);
+        this.ringPool = new ObjectPool(
+            () => new THREE.Mesh(this.ringGeometry, new THREE.MeshBasicMaterial({
+                transparent: true,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            })),
+            (ring, color) => {
+                ring.material.color.setHex(color);
+                ring.material.opacity = 1;
+            }
+        );
+
+        this.particlePool = new ObjectPool(
+            () => this.createParticles(),
+            (particles, color) => {
+                particles.material.color.setHex(color);
+                particles.material.opacity = 0.8;
+            }
+        );
+    }
+
+    createParticles() {
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(this.hitParticleCount * 3);
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const particles = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 0.1,
+            transparent: true,
+            depthWrite: false
+        }));
+        particles.frustumCulled = false; // the burst moves away from its bounding sphere
+        particles.userData.velocities = Array.from({ length: this.hitParticleCount }, () => new THREE.Vector3());
+        return particles;
+    }
+
+    spawnDocumentHit(position, color) {
+        const particles = this.particlePool.acquire(color);
+        const positions = particles.geometry.attributes.position;
+
+        particles.userData.velocities.forEach((velocity, i) => {
+            positions.setXYZ(i, position.x, position.y, position.z);
+            velocity.set(
+                (this.random() - 0.5) * this.hitSpeed,
+                this.random() * this.hitSpeed,
+                (this.random() - 0.5) * this.hitSpeed
+            );
+        });
+        positions.needsUpdate = true;
+
+        return this.add(particles, this.particlePool, this.hitDuration, (effect, deltaTime, progress) => {
+            particles.userData.velocities.forEach((velocity, i) => {
+                velocity.y -= this.hitGravity * deltaTime;
+                positions.setXYZ(
+                    i,
+                    positions.getX(i) + velocity.x * deltaTime,
+                    positions.getY(i) + velocity.y * deltaTime,
+                    positions.getZ(i) + velocity.z * deltaTime
+                );
+            });
+            positions.needsUpdate = true;
+            particles.material.opacity = 0.8 * (1 - progress);
+        });
+    }
+
+    // Ring spreading out to `radius` over the area a stamp affects
+    spawnStampRing(position, color, radius) {
+        const ring = this.ringPool.acquire(color);
+        ring.position.copy(position);
+        ring.position.y += 0.02; // keep it off the surface it lands on
+        ring.rotation.set(-Math.PI / 2, 0, 0);
+
+        const scale = Math.max(radius, STAMP_EFFECT_SETTINGS.minRadius) / 0.4; // 0.4 is the outer edge
+        return this.add(ring, this.ringPool, STAMP_EFFECT_SETTINGS.duration, (effect, deltaTime, progress) => {
+            ring.scale.setScalar(THREE.MathUtils.lerp(0.5, scale, progress));
+            ring.material.opacity = 1 - progress;
+        });
+    }
+
+    add(object, pool, duration, update) {
+        const effect = { object, pool, age: 0, duration, update };
+        this.scene.add(object);
+        this.active.push(effect);
+        update(effect, 0, 0);
+        return effect;
+    }
+
+    update(deltaTime) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const effect = this.active[i];
+            effect.age += deltaTime;
+
+            const progress = Math.min(1, effect.age / effect.duration);
+            effect.update(effect, deltaTime, progress);
+
+            if (progress >= 1) {
+                this.retire(effect);
+            }
+        }
+    }
+
+    retire(effect) {
+        const index = this.active.indexOf(effect);
+        if (index > -1) {
+            this.active.splice(index, 1);
+        }
+        this.scene.remove(effect.object);
+        effect.pool.release(effect.object);
+    }
+
+    clear() {
+        [...this.active].forEach(effect => this.retire(effect));
+    }
+
+    // Counts for the debug display
+    getStats() {
+        return {
+            active: this.active.length,
+            pooled: this.ringPool.free.length + this.particlePool.free.length,
+            created: this.ringPool.created + this.particlePool.created
+        };
+    }
+
+    dispose() {
+        this.clear();
+        this.ringPool.dispose(ring => ring.material.dispose());
+        this.particlePool.dispose(particles => {
+            particles.geometry.dispose();
+            particles.material.dispose();
+        });
+        this.ringGeometry.dispose();
+    }
+}
@@ -0,0 +1,71 @@
+// Encounter.js - Encounter triggers that start and end combat
+import * as THREE from 'three';
+import { emit } from './Events.js';
+
+export class EncounterManager {
+    constructor(combat, player) {
+        this.combat = combat;
+        this.player = player;
+        this.triggers = [];
+        this.activeTrigger = null;
+    }
+
+    addTrigger(id, box) {
+        const trigger = { id, box: box.clone() };
+        this.triggers.push(trigger);
+        return trigger;
+    }
+
+    addTriggerFromObject(object) {
+        // Marker nodes in the map define the trigger volume through their bounds
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) {
+            // Empty nodes have no geometry, give them a default volume
+            box.setFromCenterAndSize(
+                object.getWorldPosition(new THREE.Vector3()),
+                new THREE.Vector3(6, 4, 6)
+            );
+        }
+        return this.addTrigger(object.name || `encounter_${this.triggers.length}`, box);
+    }
+
+    clearTriggers() {
+        if (this.activeTrigger) {
+            this.endEncounter();
+        }
+        this.triggers = [];
+    }
+
+    findTriggerAt(position) {
+        return this.triggers.find(trigger => trigger.box.containsPoint(position)) || null;
+    }
+
+    update() {
+        const position = this.player.position;
+        const trigger = this.findTriggerAt(position);
+
+        if (trigger === this.activeTrigger) return;
+
+        if (this.activeTrigger) {
+            this.endEncounter();
+        }
+        if (trigger) {
+            this.startEncounter(trigger);
+        }
+    }
+
+    startEncounter(trigger) {
+        this.activeTrigger = trigger;
+        this.combat.startCombat();
+
+        emit('encounterStarted', { encounterId: trigger.id });
+    }
+
+    endEncounter() {
+        const trigger = this.activeTrigger;
+        this.activeTrigger = null;
+        this.combat.endCombat();
+
+        emit('encounterEnded', { encounterId: trigger.id });
+    }
+}
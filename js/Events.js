@@ -0,0 +1,14 @@
+// Events.js - Central game event bus
+// Gameplay systems publish here instead of calling each other. In the browser
+// the bus is the document, so UI code can keep using document listeners.
+const bus = typeof document !== 'undefined' ? document : new EventTarget();
+
+export function emit(name, detail = {}) {
+    bus.dispatchEvent(new CustomEvent(name, { detail }));
+}
+
+// Returns a function that removes the listener again
+export function on(name, handler) {
+    bus.addEventListener(name, handler);
+    return () => bus.removeEventListener(name, handler);
+}
@@ -1,59 +1,259 @@
 // Game.js - Main game class
 import * as THREE from 'three';
-import { Player } from './Player.js';
-import { Office } from './Office.js';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { Simulation } from './Simulation.js';
 import { AudioManager } from './Audio.js';
+import { AssetLoader } from './Assets.js';
+import { EventReactions } from './Reactions.js';
+import { ChallengePanel } from './ChallengePanel.js';
+import { HUD } from './HUD.js';
+import { SaveMenu } from './SaveMenu.js';
+import { DebugOverlay } from './DebugOverlay.js';
+import { Settings } from './Settings.js';
+import { SettingsMenu } from './SettingsMenu.js';
+import { InputManager } from './Input.js';
+import { BindingsMenu } from './BindingsMenu.js';
+import { ReplayMenu } from './ReplayMenu.js';
+import { ReplayPlayer } from './Replay.js';
+import { MatchClient } from './MatchClient.js';
+import { MultiplayerMatch } from './Multiplayer.js';
+import { LobbyMenu } from './LobbyMenu.js';
+import { emit } from './Events.js';
+import { StateMachine } from './StateMachine.js';
+import {
+    BootState,
+    LoadingState,
+    TitleState,
+    PlayingState,
+    ChallengeState,
+    PausedState,
+    GameOverState,
+    ReplayState
+} from './GameStates.js';
+import { DEFAULT_MAP_ID } from './data/maps.js';
+import { ASSET_MANIFEST } from './data/assets.js';
 
-export class Game {
+// Shadow filtering for each quality preset's shadowType
+const SHADOW_TYPES = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfSoft: THREE.PCFSoftShadowMap
+};
+
+// The browser game: rendering, audio, pointer lock, menus and game states
+// around the simulation, which runs the world itself
+export class Game extends Simulation {
     constructor() {
         console.log('Initializing game...');
         
-        // Create scene
-        this.scene = new THREE.Scene();
+        // Named actions from keyboard, mouse and gamepad, rebindable on the pause screen;
+        // maps and sounds download through one asset loader for the loading screen
+        super(new InputManager(), { assets: new AssetLoader() });
+        this.assets.preload(ASSET_MANIFEST);
         this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
         
+        // Player options, quality decides how the renderer is set up
+        this.settings = new Settings();
+        
         // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        document.body.appendChild(this.renderer.domElement);
+        this.renderer = null;
+        this.createRenderer(this.settings.getQuality().antialias);
+        this.onWindowResize();
         
         // Set up lighting
         this.setupLighting();
         
-        // Create office
-        this.office = new Office(this.scene);
+        // Pointer lock turns the player's head with the mouse
+        this.controls = new PointerLockControls(this.player.head, document.body);
+        
+        // Replays are watched through a camera of their own; viewCamera is the one rendered
+        this.freeCamera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+        this.viewCamera = this.player.camera;
+        
+        // Paperwork challenge HUD panel
+        this.challengePanel = new ChallengePanel(this.combat);
+        
+        // Heads-up display, driven by game events
+        this.hud = new HUD(this.player, this.combat);
+        
+        // Save slots, autosaved on pause and restored once the map is in
+        this.saveMenu = new SaveMenu(this.saves);
+        this.settingsMenu = new SettingsMenu(this.settings);
+        this.bindingsMenu = new BindingsMenu(this.input);
+        this.autosaveRestored = false;
+        
+        // The last finished recording, and the game to go back to after watching one
+        this.lastReplay = null;
+        this.replayReturn = null;
+        document.addEventListener('recordingChanged', (event) => {
+            if (event.detail.replay) {
+                this.lastReplay = event.detail.replay;
+            }
+        });
+        this.replayMenu = new ReplayMenu(this);
+        
+        // Versus matches on a match server, joined from the pause menu
+        this.matchClient = new MatchClient();
+        this.matchClient.addEventListener('matchStarted', (event) => this.startMatch(event.detail));
+        this.lobbyMenu = new LobbyMenu(this.matchClient);
         
-        // Create player
-        this.player = new Player(this.scene);
+        // What a new career looks like, for starting over after being fired
+        this.newCareer = this.saves.serialize();
         
-        // Listen for map loaded event to set collidable objects
-        document.addEventListener('mapLoaded', (event) => {
-            console.log('Map loaded, setting collidable objects for player');
-            this.player.collidableObjects = this.office.getCollidableObjects();
+        // The first map in restores the autosave
+        document.addEventListener('mapLoaded', () => {
+            if (!this.autosaveRestored) {
+                this.autosaveRestored = true;
+                this.saves.load('autosave');
+            }
+        });
+        
+        // Open paperwork has its own state, where number keys stamp the form
+        document.addEventListener('challengeStarted', () => {
+            if (this.states.is('playing')) {
+                this.states.change('challenge');
+            }
+        });
+        document.addEventListener('challengeResolved', () => {
+            if (this.states.is('challenge')) {
+                this.states.change('playing');
+            }
         });
         
-        // Create audio system
-        this.audio = new AudioManager();
+        // Failing at the bottom of the ladder ends the career
+        document.addEventListener('playerFired', () => {
+            // A replay may show it happening, that doesn't end the real career
+            if (!this.states.is('playing', 'challenge')) return;
+            this.states.change('gameOver', { reason: 'Three failed forms in a row, and there is no rank below intern.' });
+        });
+        
+        // Create audio system, heard from the player's camera
+        this.audio = new AudioManager(this.assets);
+        this.audio.attachListener(this.player.camera);
+        
+        // Options apply as soon as they change; the sound manifest sets bus
+        // volumes when it loads, so the player's volumes go on top again
+        this.applySettings();
+        this.settings.addEventListener('change', (event) => this.applySetting(event.detail.key));
+        this.audio.ready.then(() => this.applyVolumes());
         
-        // Game state
-        this.isPaused = false;
+        // Sounds, effects and messages for gameplay events come from data/reactions.js
+        this.reactions = new EventReactions(this.audio, this.hud);
+        this.reactions.registerEffect('documentHit', (detail) => {
+            this.combat.createDocumentHitEffect(detail.point, detail.documentType);
+        });
+        
+        // Game state: boot, loading, title, playing, challenge, paused, game over and replay
+        this.states = new StateMachine({
+            boot: new BootState(this),
+            loading: new LoadingState(this),
+            title: new TitleState(this),
+            playing: new PlayingState(this),
+            challenge: new ChallengeState(this),
+            paused: new PausedState(this),
+            gameOver: new GameOverState(this),
+            replay: new ReplayState(this)
+        });
         this.lastTime = Date.now();
         this.deltaTime = 0;
+        this.maxFrameTime = 0.25; // don't try to catch up on long stalls
         
-        // Debug mode
+        // Debug mode, F3 shows the developer overlay
         this.debugMode = false;
+        this.debugOverlay = new DebugOverlay(this);
         
         // Bind event listeners
         this.bindEventListeners();
         
-        // Start game loop
+        // Start the one game loop
+        this.states.change('boot');
         this.animate();
         
         console.log('Game initialization complete');
     }
 
+    createRenderer(antialias) {
+        // Antialiasing is fixed when the WebGL context is made, so changing it means a new renderer
+        if (this.renderer) {
+            this.renderer.domElement.remove();
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+        }
+        
+        this.renderer = new THREE.WebGLRenderer({ antialias });
+        this.antialias = antialias;
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        document.body.appendChild(this.renderer.domElement);
+    }
+
+    applySettings() {
+        Object.keys(this.settings.values).forEach(key => this.applySetting(key));
+    }
+
+    applySetting(key) {
+        const value = this.settings.get(key);
+        
+        switch (key) {
+            case 'quality':
+                this.applyQuality(this.settings.getQuality());
+                break;
+            case 'sensitivity':
+                this.controls.pointerSpeed = value;
+                this.player.lookSensitivity = value;
+                break;
+            case 'fov':
+                this.player.camera.fov = value;
+                this.player.camera.updateProjectionMatrix();
+                break;
+            case 'masterVolume':
+                this.audio.setMasterVolume(value);
+                break;
+            case 'sfxVolume':
+                this.audio.setVolume(value);
+                break;
+            case 'musicVolume':
+                this.audio.setMusicVolume(value);
+                break;
+            case 'ambienceVolume':
+                this.audio.setAmbienceVolume(value);
+                break;
+        }
+    }
+
+    applyVolumes() {
+        ['masterVolume', 'sfxVolume', 'musicVolume', 'ambienceVolume'].forEach(key => this.applySetting(key));
+    }
+
+    applyQuality(quality) {
+        if (quality.antialias !== this.antialias) {
+            this.createRenderer(quality.antialias);
+        }
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatio));
+        
+        const shadows = quality.shadowType !== 'none';
+        this.renderer.shadowMap.enabled = shadows;
+        this.renderer.shadowMap.type = SHADOW_TYPES[quality.shadowType] || THREE.PCFShadowMap;
+        this.sunLight.castShadow = shadows;
+        
+        // The shadow map is reallocated at the new size on the next render
+        this.sunLight.shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize);
+        if (this.sunLight.shadow.map) {
+            this.sunLight.shadow.map.dispose();
+            this.sunLight.shadow.map = null;
+        }
+        
+        this.player.camera.far = quality.drawDistance;
+        this.player.camera.updateProjectionMatrix();
+        
+        // Shaders are compiled for one kind of shadow, rebuild them
+        this.scene.traverse((object) => {
+            if (!object.material) return;
+            [].concat(object.material).forEach(material => {
+                material.needsUpdate = true;
+            });
+        });
+    }
+
     setupLighting() {
         // Ambient light for overall illumination
         const ambientLight = new THREE.AmbientLight(0x404040, 0.7);
@@ -65,9 +265,8 @@ export class Game {
         directionalLight.target.position.set(0, 0, 0);
         this.scene.add(directionalLight.target);
         
+        // Shadow resolution and filtering come from the quality preset
         directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 50;
         directionalLight.shadow.camera.left = -10;
@@ -76,6 +275,37 @@ export class Game {
         directionalLight.shadow.camera.bottom = -10;
         
         this.scene.add(directionalLight);
+        this.sunLight = directionalLight;
+    }
+
+    // Doors, elevators, saves and the debug overlay all come through here
+    changeMap(mapId, spawnName = null) {
+        const loading = super.changeMap(mapId, spawnName);
+        if (!this.office.isLoading) {
+            return loading;
+        }
+        
+        // Menus and replays stay up once the map is in, play carries on otherwise
+        let next = 'playing';
+        if (this.states.is('title', 'gameOver', 'replay')) {
+            next = this.states.currentName;
+        } else if (this.states.is('loading')) {
+            next = this.states.current.next;
+        }
+        this.states.change('loading', { next });
+        return loading;
+    }
+
+    // The loading screen's retry: downloads that gave up start over, and a map
+    // that arrived but couldn't be read is downloaded again
+    retryLoading() {
+        this.assets.retryFailed();
+        
+        const failed = this.office.loadError;
+        if (failed) {
+            this.assets.forget(failed.file);
+            this.office.loadMap(failed.mapId).catch(() => {});
+        }
     }
 
     bindEventListeners() {
@@ -84,46 +314,147 @@ export class Game {
             this.onWindowResize();
         });
         
-        // Toggle debug mode with F3
-        window.addEventListener('keydown', (event) => {
-            if (event.code === 'F3') {
-                this.toggleDebugMode();
-            }
+        // Escape or losing focus lets go of the pointer, what that means depends on the state
+        document.addEventListener('pointerlockchange', () => {
+            this.states.onPointerLock(Boolean(document.pointerLockElement));
+        });
+        document.addEventListener('pointerlockerror', () => {
+            console.warn('Pointer lock was refused, click again to play');
         });
+        
+        // Keyboard, mouse and gamepad all arrive as named actions, see data/input.js
+        this.input.addEventListener('actionDown', (event) => {
+            this.onAction(event.detail.action);
+        });
+        
+        // Keep the browser menu from opening on right click
+        document.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+        });
+    }
+
+    onAction(action) {
+        // The debug overlay and mute work in every state
+        if (action === 'debug') {
+            this.toggleDebugMode();
+            return;
+        }
+        if (action === 'mute') {
+            this.audio.toggleMute();
+            return;
+        }
+        if (action === 'record') {
+            this.toggleRecording();
+            return;
+        }
+        
+        this.states.onAction(action);
+    }
+
+    // Play resumes in the challenge state while paperwork is open
+    getPlayState() {
+        return this.combat.activeChallenge ? 'challenge' : 'playing';
     }
 
     onWindowResize() {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.player.camera.aspect = window.innerWidth / window.innerHeight;
         this.player.camera.updateProjectionMatrix();
+        this.freeCamera.aspect = this.player.camera.aspect;
+        this.freeCamera.updateProjectionMatrix();
     }
 
     toggleDebugMode() {
         this.debugMode = !this.debugMode;
+        this.debugOverlay.setVisible(this.debugMode);
         console.log('Debug mode:', this.debugMode ? 'ON' : 'OFF');
     }
 
-    update() {
-        const currentTime = Date.now();
-        this.deltaTime = (currentTime - this.lastTime) / 1000;
-        this.lastTime = currentTime;
+    autosave() {
+        // Nothing worth saving until the map is in and the autosave restored,
+        // and a match's loadout is not the career's
+        if (this.autosaveRestored && !this.office.isLoading && !this.network) {
+            this.saves.save('autosave');
+        }
+    }
 
-        if (!this.isPaused) {
-            this.player.update(this.deltaTime);
+    startNewCareer() {
+        this.saves.deserialize(this.newCareer);
+        
+        // Back to the floor and desk of the first day
+        if (this.office.mapId !== DEFAULT_MAP_ID) {
+            this.changeMap(DEFAULT_MAP_ID, 'Spawn')
+                .catch(error => console.error('Map change failed:', error));
+        } else {
+            this.placePlayerAtSpawn('Spawn');
         }
     }
 
-    pause() {
-        this.isPaused = true;
+    // Recording is for play; starting it puts the map back as it loaded
+    toggleRecording() {
+        if (this.recorder) {
+            return this.stopRecording() !== null;
+        }
+        if (!this.states.is('playing', 'challenge', 'paused')) {
+            return false;
+        }
+        return this.startRecording();
     }
 
-    resume() {
-        this.isPaused = false;
+    watchReplay(replay) {
+        if (this.network) {
+            emit('replayError', { message: 'not during a match' });
+            return false;
+        }
+        this.stopRecording();
+        
+        let playback;
+        try {
+            playback = new ReplayPlayer(this, replay);
+        } catch (error) {
+            console.error('Could not play replay:', error);
+            emit('replayError', { message: error.message });
+            return false;
+        }
+        
+        if (!this.replayReturn) {
+            this.replayReturn = this.saves.serialize();
+        }
+        this.states.change('replay', { playback });
+        return true;
     }
 
+    // Back to the pause menu with the game as it was before watching
+    leaveReplay() {
+        const snapshot = this.replayReturn;
+        this.replayReturn = null;
+        this.states.change('paused');
+        
+        return this.restoreSnapshot(snapshot)
+            .catch(error => console.error('Map change failed:', error));
+    }
+
+    // The server started a match with everyone in the lobby
+    startMatch(start) {
+        const match = new MultiplayerMatch(this, this.matchClient, start);
+        const leaving = this.states.is('replay') ? this.leaveReplay() : Promise.resolve();
+        return leaving.then(() => match.start());
+    }
+
+    // The one game loop: input, then whatever the current state does, then rendering
     animate() {
         requestAnimationFrame(() => this.animate());
-        this.update();
-        this.renderer.render(this.scene, this.player.camera);
+        
+        const currentTime = Date.now();
+        this.deltaTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime);
+        this.lastTime = currentTime;
+        
+        this.input.update();
+        this.states.update(this.deltaTime);
+        this.renderer.render(this.scene, this.viewCamera);
+        
+        if (this.debugMode) {
+            this.debugOverlay.update();
+        }
     }
 } 
\ No newline at end of file
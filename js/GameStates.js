@@ -0,0 +1,434 @@
+// GameStates.js - What the game shows, runs and listens to in each state
+import * as THREE from 'three';
+import { emit } from './Events.js';
+import { REPLAY_SETTINGS } from './data/replay.js';
+
+// Shows its screen while active; input and pointer lock are ignored unless overridden
+export class GameState {
+    constructor(game, screenId = null) {
+        this.game = game;
+        this.screen = screenId ? document.getElementById(screenId) : null;
+    }
+
+    enter() {
+        this.showScreen(true);
+    }
+
+    exit() {
+        this.showScreen(false);
+    }
+
+    showScreen(visible) {
+        if (this.screen) {
+            this.screen.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    update() {}
+
+    onAction() {}
+
+    onPointerLock() {}
+}
+
+// Everything has been constructed and the first map is already on its way
+export class BootState extends GameState {
+    enter() {
+        this.game.states.change('loading', { next: 'title' });
+    }
+}
+
+// The world stands still until the map and every other required file is in.
+// Shows the asset loader's progress, and what failed with a retry button when
+// a required file gave up or the map couldn't be read.
+export class LoadingState extends GameState {
+    constructor(game) {
+        super(game, 'loading-screen');
+        this.next = 'title';
+        this.active = false;
+
+        this.title = document.getElementById('loading-title');
+        this.bar = document.getElementById('loading-bar-fill');
+        this.detail = document.getElementById('loading-detail');
+        this.error = document.getElementById('loading-error');
+        this.failureList = document.getElementById('loading-failures');
+        document.getElementById('loading-retry').addEventListener('click', () => this.game.retryLoading());
+
+        game.assets.addEventListener('change', () => {
+            if (this.active) this.render();
+        });
+        document.addEventListener('mapLoadFailed', () => {
+            if (this.active) this.render();
+        });
+    }
+
+    enter(previous, { next = 'playing' } = {}) {
+        super.enter();
+        this.next = next;
+        this.active = true;
+        this.render();
+    }
+
+    exit() {
+        super.exit();
+        this.active = false;
+    }
+
+    update() {
+        const game = this.game;
+        if (game.office.isLoading || game.office.loadError || !game.assets.isSettled()) return;
+
+        // Playing needs the pointer; it may have been let go during the load
+        let next = this.next;
+        if (next === 'playing') {
+            next = document.pointerLockElement ? this.game.getPlayState() : 'paused';
+        }
+        this.game.states.change(next);
+    }
+
+    render() {
+        const assets = this.game.assets;
+        const progress = assets.getProgress();
+        const current = assets.getBatch().find(item => item.state === 'loading' || item.state === 'retrying');
+        const files = assets.fileCount;
+
+        const details = [`${Math.round(progress * 100)}%`];
+        if (current) {
+            details.push(this.describeFile(current));
+        }
+        if (files.total > 0) {
+            details.push(`file ${files.loaded} of ${files.total}`);
+        }
+        this.bar.style.width = `${progress * 100}%`;
+        this.detail.textContent = details.join(' - ');
+
+        // Optional files that gave up are only in the console
+        const failures = assets.getFailures()
+            .filter(item => item.required)
+            .map(item => `${item.label} (${item.url}): ${item.error}, tried ${item.attempts} times`);
+        const mapError = this.game.office.loadError;
+        if (mapError) {
+            failures.push(`${mapError.file} couldn't be read: ${mapError.message}`);
+        }
+
+        this.title.textContent = failures.length > 0 ? 'Could not load the office' : 'Loading...';
+        this.error.style.display = failures.length > 0 ? 'block' : 'none';
+        this.failureList.innerHTML = '';
+        failures.forEach(failure => {
+            const item = document.createElement('li');
+            item.textContent = failure;
+            this.failureList.appendChild(item);
+        });
+
+        // The retry button needs the cursor
+        if (failures.length > 0 && document.pointerLockElement) {
+            this.game.controls.unlock();
+        }
+    }
+
+    describeFile(item) {
+        if (item.state === 'retrying') {
+            return `retrying ${item.label} after ${item.error}`;
+        }
+        const size = item.total > 0
+            ? ` (${(item.loaded / 1e6).toFixed(1)} of ${(item.total / 1e6).toFixed(1)} MB)`
+            : ` (${(item.loaded / 1e6).toFixed(1)} MB)`;
+        return `${item.label}${size}`;
+    }
+}
+
+// Click anywhere to play
+export class TitleState extends GameState {
+    constructor(game) {
+        super(game, 'title-screen');
+        this.screen.addEventListener('click', () => this.game.controls.lock());
+    }
+
+    enter() {
+        super.enter();
+        if (document.pointerLockElement) {
+            this.game.controls.unlock();
+        }
+    }
+
+    onPointerLock(locked) {
+        if (locked) {
+            this.game.states.change(this.game.getPlayState());
+        }
+    }
+}
+
+// Walking the office: the simulation runs and number keys pick the document
+export class PlayingState extends GameState {
+    enter() {
+        super.enter();
+
+        // Pointer lock is a user gesture, so the audio context may start here
+        this.game.audio.resume();
+        this.game.audio.playMusic();
+    }
+
+    update(deltaTime) {
+        this.game.update(deltaTime);
+    }
+
+    onAction(action) {
+        this.game.performAction(action);
+    }
+
+    onPointerLock(locked) {
+        if (!locked) {
+            this.game.states.change('paused');
+        }
+    }
+}
+
+// A paperwork challenge is open: the world keeps going, and performAction
+// sends number keys to the form instead of the document slots
+export class ChallengeState extends PlayingState {}
+
+// Pause menu with save slots, settings and controls; autosaves on the way in
+export class PausedState extends GameState {
+    constructor(game) {
+        super(game, 'pause-menu');
+
+        document.getElementById('resume-button').addEventListener('click', () => this.game.controls.lock());
+        document.getElementById('quit-button').addEventListener('click', () => this.game.states.change('title'));
+
+        // One section of the menu at a time
+        this.tabs = [...this.screen.querySelectorAll('[data-tab]')];
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+        });
+        this.showTab(this.tabs[0].dataset.tab);
+    }
+
+    showTab(id) {
+        this.tabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === id);
+            document.getElementById(tab.dataset.tab).style.display = tab.dataset.tab === id ? 'block' : 'none';
+        });
+    }
+
+    enter(previous) {
+        super.enter();
+
+        if (previous === 'playing' || previous === 'challenge') {
+            this.game.autosave();
+        }
+    }
+
+    onPointerLock(locked) {
+        if (locked) {
+            this.game.states.change(this.game.getPlayState());
+        }
+    }
+}
+
+// Fired after failing at the bottom of the career ladder
+export class GameOverState extends GameState {
+    constructor(game) {
+        super(game, 'game-over-screen');
+        this.reason = document.getElementById('game-over-reason');
+        this.loadButton = document.getElementById('load-save-button');
+
+        // Go to the title first, loading may have to change map and pass through loading
+        this.loadButton.addEventListener('click', () => {
+            this.game.states.change('title');
+            this.game.saves.load('autosave');
+        });
+        document.getElementById('new-career-button').addEventListener('click', () => {
+            this.game.states.change('title');
+            this.game.startNewCareer();
+        });
+    }
+
+    enter(previous, { reason = '' } = {}) {
+        super.enter();
+        this.reason.textContent = reason;
+        this.loadButton.disabled = !this.game.saves.listSlots().some(({ slot, summary }) => slot === 'autosave' && summary);
+
+        if (document.pointerLockElement) {
+            this.game.controls.unlock();
+        }
+    }
+}
+
+// Watching a recording: the replay drives the player while a free camera flies
+// around. The panel works with the pointer free, clicking the view takes it back.
+export class ReplayState extends GameState {
+    constructor(game, settings = REPLAY_SETTINGS) {
+        super(game, 'replay-screen');
+        this.settings = settings;
+        this.playback = null;
+        this.move = new THREE.Vector3();
+        this.look = new THREE.Vector2();
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+        this.elements = {
+            play: document.getElementById('replay-play'),
+            seek: document.getElementById('replay-seek'),
+            speed: document.getElementById('replay-speed'),
+            time: document.getElementById('replay-time'),
+            divergence: document.getElementById('replay-divergence')
+        };
+
+        settings.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            this.elements.speed.appendChild(option);
+        });
+
+        this.screen.addEventListener('click', (event) => {
+            if (event.target === this.screen) {
+                this.game.controls.lock();
+            }
+        });
+        this.elements.play.addEventListener('click', () => this.togglePause());
+        this.elements.seek.addEventListener('input', () => this.seek(Number(this.elements.seek.value)));
+        this.elements.speed.addEventListener('change', () => {
+            this.playback.speed = Number(this.elements.speed.value);
+        });
+        document.getElementById('replay-exit').addEventListener('click', () => this.game.leaveReplay());
+    }
+
+    enter(previous, { playback } = {}) {
+        super.enter();
+        if (playback) {
+            this.playback = playback;
+        }
+
+        // Back here from loading once the map is in
+        const game = this.game;
+        if (game.office.mapId !== this.playback.mapId) {
+            if (previous === 'loading') {
+                emit('replayError', { message: `The map ${this.playback.mapId} could not be loaded` });
+                game.leaveReplay();
+                return;
+            }
+            game.changeMap(this.playback.mapId)
+                .catch(error => console.error('Map change failed:', error));
+            return;
+        }
+
+        this.playback.start();
+
+        // Fly off from where the player's view was
+        const camera = game.freeCamera;
+        camera.fov = game.player.camera.fov;
+        camera.far = game.player.camera.far;
+        camera.updateProjectionMatrix();
+        camera.position.copy(game.player.camera.position);
+        camera.quaternion.copy(game.player.camera.quaternion);
+        game.controls.camera = camera;
+        game.viewCamera = camera;
+
+        this.elements.seek.max = this.playback.duration;
+        this.elements.speed.value = this.playback.speed;
+        this.render();
+    }
+
+    exit(next) {
+        super.exit();
+
+        // Going to load the replay's map, this state comes straight back
+        if (next === 'loading') return;
+
+        this.playback.stop();
+        this.playback = null;
+        this.game.controls.camera = this.game.player.head;
+        this.game.viewCamera = this.game.player.camera;
+    }
+
+    update(deltaTime) {
+        this.playback.update(deltaTime);
+        this.flyCamera(deltaTime);
+        this.render();
+    }
+
+    flyCamera(deltaTime) {
+        const input = this.game.input;
+        const camera = this.game.freeCamera;
+
+        const speed = this.settings.freeCameraSpeed * (input.isDown('run') ? 2 : 1) * deltaTime;
+        const move = input.getMoveVector(this.move);
+        camera.translateX(move.x * speed);
+        camera.translateZ(move.z * speed);
+        if (input.isDown('jump')) {
+            camera.position.y += speed;
+        }
+
+        // The right stick turns the camera like the mouse does
+        const look = input.getLookDelta(deltaTime, this.look);
+        if (look.x !== 0 || look.y !== 0) {
+            const sensitivity = this.game.player.lookSensitivity;
+            this.euler.setFromQuaternion(camera.quaternion);
+            this.euler.y -= look.x * sensitivity;
+            this.euler.x = THREE.MathUtils.clamp(this.euler.x - look.y * sensitivity, -Math.PI / 2, Math.PI / 2);
+            camera.quaternion.setFromEuler(this.euler);
+        }
+    }
+
+    onAction(action) {
+        const speeds = this.settings.speeds;
+        const speedIndex = speeds.indexOf(this.playback.speed);
+
+        switch (action) {
+            case 'replayPause':
+                this.togglePause();
+                break;
+            case 'replaySlower':
+                this.setSpeed(speeds[Math.max(0, speedIndex - 1)]);
+                break;
+            case 'replayFaster':
+                this.setSpeed(speeds[Math.min(speeds.length - 1, speedIndex + 1)]);
+                break;
+            case 'replayBack':
+                this.seek(this.playback.time - this.settings.seekStep);
+                break;
+            case 'replayForward':
+                this.seek(this.playback.time + this.settings.seekStep);
+                break;
+        }
+    }
+
+    togglePause() {
+        // Play from the start again once the end has been reached
+        if (this.playback.isFinished()) {
+            this.seek(0);
+            this.playback.paused = false;
+            return;
+        }
+        this.playback.paused = !this.playback.paused;
+    }
+
+    setSpeed(speed) {
+        this.playback.speed = speed;
+        this.elements.speed.value = speed;
+    }
+
+    // Skipped frames would all play their sounds and messages at once
+    seek(time) {
+        this.game.reactions.enabled = false;
+        this.playback.seek(time);
+        this.game.reactions.enabled = true;
+    }
+
+    render() {
+        const playback = this.playback;
+        const elements = this.elements;
+
+        elements.play.textContent = playback.paused || playback.isFinished() ? 'Play' : 'Pause';
+        elements.time.textContent = `${playback.time.toFixed(1)} / ${playback.duration.toFixed(1)}s`;
+        elements.seek.value = playback.time;
+
+        const divergence = playback.divergence;
+        let outOfSync = '';
+        if (divergence) {
+            const detail = divergence.reason === 'world' ? 'the office no longer matches' : `${divergence.distance.toFixed(2)}m off`;
+            outOfSync = `Out of sync from ${divergence.time.toFixed(1)}s (${detail})`;
+        }
+        elements.divergence.textContent = outOfSync;
+    }
+}
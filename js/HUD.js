@@ -0,0 +1,209 @@
+// HUD.js - On-screen display for career, ammo, stamps and challenges
+export class HUD {
+    constructor(player, combat) {
+        this.player = player;
+        this.combat = combat;
+        this.input = player.input; // key names come from here, even while a replay drives the player
+
+        this.elements = {
+            rank: document.getElementById('hud-rank'),
+            influence: document.getElementById('hud-influence'),
+            staminaFill: document.getElementById('hud-stamina-fill'),
+            documentType: document.getElementById('hud-document-type'),
+            ammo: document.getElementById('hud-ammo'),
+            stampType: document.getElementById('hud-stamp-type'),
+            stamps: document.getElementById('hud-stamps'),
+            consumables: document.getElementById('hud-consumables'),
+            effects: document.getElementById('hud-effects'),
+            timer: document.getElementById('hud-challenge-timer'),
+            recording: document.getElementById('hud-recording'),
+            match: document.getElementById('hud-match'),
+            prompt: document.getElementById('interaction-prompt'),
+            toasts: document.getElementById('hud-toasts')
+        };
+
+        this.buildPips(this.elements.ammo, combat.maxProjectiles);
+        this.buildPips(this.elements.stamps, combat.maxStamps);
+
+        this.bindEventListeners();
+
+        // Initial state, everything after this is event driven
+        this.renderCareer();
+        this.renderSelection();
+        this.renderAmmo(0);
+        this.renderStamps(0, combat.stampDuration);
+        this.renderEffects();
+        this.renderPrompt(null);
+    }
+
+    bindEventListeners() {
+        // Promotion and challenge messages are event reactions, see data/reactions.js
+        this.player.career.addEventListener('change', () => this.renderCareer());
+        this.player.inventory.addEventListener('change', () => this.renderSelection());
+        this.input.addEventListener('bindingsChanged', () => {
+            this.renderSelection();
+            this.renderPrompt(this.interactionPrompt);
+        });
+        this.player.statusEffects.addEventListener('change', () => {
+            this.renderEffects();
+            // Some effects change how many stamps can be down at once
+            this.renderStamps(this.combat.activeStamps.length, this.combat.stampDuration);
+        });
+        document.addEventListener('consumableSelected', () => this.renderSelection());
+        document.addEventListener('stampCooldown', () => this.renderSelection());
+
+        document.addEventListener('gameSaved', (event) => {
+            this.showToast(event.detail.slot === 'autosave' ? 'Autosaved' : 'Game saved');
+        });
+        document.addEventListener('gameLoaded', () => this.showToast('Game loaded'));
+        document.addEventListener('saveError', (event) => {
+            this.showToast(`Could not load save: ${event.detail.message}`, 'failure');
+        });
+
+        document.addEventListener('selectionChanged', () => this.renderSelection());
+        document.addEventListener('projectilesChanged', (event) => this.renderAmmo(event.detail.active));
+        document.addEventListener('stampsChanged', (event) => {
+            this.renderStamps(event.detail.active, event.detail.duration, event.detail.max);
+        });
+
+        document.addEventListener('interactionTargetChanged', (event) => this.renderPrompt(event.detail.prompt));
+
+        document.addEventListener('challengeStarted', (event) => this.renderTimer(event.detail.challenge));
+        document.addEventListener('challengeTimer', (event) => this.renderTimer(event.detail.challenge));
+        document.addEventListener('challengeResolved', () => this.renderTimer(null));
+
+        document.addEventListener('recordingChanged', (event) => {
+            this.elements.recording.style.display = event.detail.recording ? 'block' : 'none';
+        });
+
+        document.addEventListener('matchStatus', (event) => this.renderMatch(event.detail));
+        document.addEventListener('matchEnded', () => this.renderMatch(null));
+    }
+
+    buildPips(container, count) {
+        container.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const pip = document.createElement('span');
+            pip.className = 'hud-pip';
+            container.appendChild(pip);
+        }
+    }
+
+    renderCareer() {
+        const career = this.player.career;
+        this.elements.rank.textContent = career.rank;
+        this.elements.influence.textContent = `Influence: ${career.influence}`;
+        this.elements.staminaFill.style.width = `${(career.stamina / career.maxStamina) * 100}%`;
+    }
+
+    renderSelection() {
+        const inventory = this.player.inventory;
+        const documentType = this.combat.selectedDocumentType;
+        const stampType = this.combat.selectedStampType;
+        
+        this.elements.documentType.textContent = `${documentType} ×${inventory.count('documents', documentType)}`;
+        const cooldown = Math.ceil(this.combat.getStampCooldown(stampType));
+        this.elements.stampType.textContent = `${stampType} ×${inventory.count('stamps', stampType)}` +
+            (cooldown > 0 ? ` (${cooldown}s)` : '');
+        this.elements.stampType.classList.toggle('cooling', cooldown > 0);
+        
+        // The selected consumable first, then the ones the next consumable action switches to
+        const input = this.input;
+        const selected = this.player.selectedConsumable;
+        const consumables = Object.entries(inventory.items.consumables)
+            .filter(([, count]) => count > 0)
+            .sort(([a], [b]) => (b === selected) - (a === selected))
+            .map(([item, count]) => `${item} ×${count}`);
+        this.elements.consumables.textContent = consumables.length > 0
+            ? `[${input.getLabel('useConsumable')}] ${consumables[0]}` +
+                (consumables.length > 1 ? `  [${input.getLabel('cycleConsumable')}] ${consumables.slice(1).join(', ')}` : '')
+            : '';
+    }
+
+    renderEffects() {
+        const container = this.elements.effects;
+        container.innerHTML = '';
+        
+        this.player.statusEffects.list().forEach(effect => {
+            const item = document.createElement('div');
+            item.className = `hud-effect ${effect.debuff ? 'debuff' : 'buff'}`;
+            item.textContent = effect.stacks > 1 ? `${effect.name} ×${effect.stacks}` : effect.name;
+            container.appendChild(item);
+        });
+    }
+
+    renderAmmo(activeProjectiles) {
+        // Each projectile in flight occupies a slot until it lands
+        const pips = this.elements.ammo.children;
+        for (let i = 0; i < pips.length; i++) {
+            pips[i].classList.toggle('spent', i >= pips.length - activeProjectiles);
+        }
+    }
+
+    renderStamps(activeStamps, duration, max = this.combat.getMaxStamps()) {
+        if (this.elements.stamps.children.length !== max) {
+            this.buildPips(this.elements.stamps, max);
+        }
+        
+        // Slots in use play a cooldown sweep lasting until the stamp expires
+        const pips = this.elements.stamps.children;
+        for (let i = 0; i < pips.length; i++) {
+            const cooling = i >= pips.length - activeStamps;
+            if (cooling && !pips[i].classList.contains('cooling')) {
+                pips[i].style.animationDuration = `${duration}ms`;
+            }
+            pips[i].classList.toggle('cooling', cooling);
+        }
+    }
+
+    renderTimer(challenge) {
+        if (!challenge) {
+            this.elements.timer.style.display = 'none';
+            return;
+        }
+
+        const seconds = Math.max(0, Math.ceil(challenge.timeRemaining));
+        this.elements.timer.style.display = 'block';
+        this.elements.timer.textContent = `${challenge.type}: ${seconds}s`;
+        this.elements.timer.classList.toggle('warning', seconds <= 10);
+    }
+
+    // Patience, time left and the top scores during a versus match
+    renderMatch(status) {
+        const element = this.elements.match;
+        if (!status) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const minutes = Math.floor(status.timeLeft / 60);
+        const seconds = String(Math.floor(status.timeLeft % 60)).padStart(2, '0');
+        const patience = status.alive ? `Patience ${Math.ceil(status.patience)}/${status.maxPatience}` : 'Buried in paperwork';
+        const scores = status.scores.slice(0, 4).map(entry => `${entry.mine ? '▶ ' : ''}${entry.name} ${entry.score}`);
+
+        element.style.display = 'block';
+        element.textContent = [`${minutes}:${seconds}`, patience, ...scores].join('   ');
+        element.classList.toggle('warning', status.alive && status.patience <= status.maxPatience * 0.25);
+    }
+
+    // What E does to the prop under the crosshair, null when there is none
+    renderPrompt(prompt) {
+        this.interactionPrompt = prompt;
+        if (!prompt) {
+            this.elements.prompt.style.display = 'none';
+            return;
+        }
+
+        this.elements.prompt.textContent = `Press ${this.input.getLabel('interact')} to ${prompt}`;
+        this.elements.prompt.style.display = 'block';
+    }
+
+    showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `hud-toast ${type}`;
+        toast.textContent = message;
+        this.elements.toasts.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 3000);
+    }
+}
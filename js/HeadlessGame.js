@@ -0,0 +1,92 @@
+// HeadlessGame.js - The simulation without a browser, stepped from scripted input
+import { Simulation } from './Simulation.js';
+import { ScriptedInput } from './ScriptedInput.js';
+import { ReplayPlayer } from './Replay.js';
+
+// For Node scripts and tests: no renderer, audio, DOM or pointer lock, and the
+// same seed with the same inputs always plays out the same way
+export class HeadlessGame extends Simulation {
+    constructor({ seed = 1 } = {}) {
+        super(new ScriptedInput(), { seed, mapId: null });
+
+        // Actions do what they do in the browser's playing and challenge states
+        this.input.addEventListener('actionDown', (event) => this.onAction(event.detail.action));
+    }
+
+    // Maps are normally GLB files loaded by the browser; here the model is
+    // given directly, e.g. built from boxes, and named like a map node tree
+    loadMap(model, mapId = 'test') {
+        return this.office.setMap(mapId, model);
+    }
+
+    onAction(action) {
+        this.performAction(action);
+    }
+
+    press(action) {
+        this.input.press(action);
+    }
+
+    release(action) {
+        this.input.release(action);
+    }
+
+    tap(action) {
+        this.input.tap(action);
+    }
+
+    // Runs whole fixed steps, rounding to the nearest step
+    advance(seconds) {
+        const steps = Math.round(seconds / this.fixedTimeStep);
+        for (let i = 0; i < steps; i++) {
+            this.update(this.fixedTimeStep);
+        }
+    }
+
+    // Plays a list of timed inputs, e.g.
+    //   [{ at: 0, press: 'moveForward' }, { at: 1.5, release: 'moveForward' }, { at: 2, tap: 'throw' }]
+    // Entries may also set stick positions ({ move: [x, y] }, { look: [x, y] })
+    // or run a function with the game ({ call: game => ... }). Times are seconds
+    // from now; the run continues until `duration` if that is later.
+    run(script, duration = 0) {
+        const start = this.time;
+        const entries = [...script].sort((a, b) => a.at - b.at);
+        const end = Math.max(duration, entries.length > 0 ? entries[entries.length - 1].at : 0);
+
+        let next = 0;
+        while (true) {
+            const elapsed = this.time - start;
+            while (next < entries.length && entries[next].at <= elapsed + this.fixedTimeStep / 2) {
+                this.applyScriptEntry(entries[next++]);
+            }
+            if (elapsed >= end - this.fixedTimeStep / 2) break;
+            this.update(this.fixedTimeStep);
+        }
+        return this;
+    }
+
+    // Plays a recording from start to end on the loaded map, which must be
+    // the one it was recorded on. The returned player holds any divergence.
+    playReplay(replay) {
+        const playback = new ReplayPlayer(this, replay);
+        playback.start();
+        playback.seek(playback.duration);
+        playback.stop();
+        return playback;
+    }
+
+    applyScriptEntry(entry) {
+        [].concat(entry.press || []).forEach(action => this.press(action));
+        [].concat(entry.release || []).forEach(action => this.release(action));
+        [].concat(entry.tap || []).forEach(action => this.tap(action));
+        if (entry.move) {
+            this.input.moveStick.fromArray(entry.move);
+        }
+        if (entry.look) {
+            this.input.lookStick.fromArray(entry.look);
+        }
+        if (entry.call) {
+            entry.call(this);
+        }
+    }
+}
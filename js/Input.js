@@ -0,0 +1,307 @@
+// Input.js - Named actions from keyboard, mouse and gamepad, with rebinding
+import * as THREE from 'three';
+import { INPUT_ACTIONS, GAMEPAD_BUTTON_NAMES, INPUT_SETTINGS } from './data/input.js';
+
+const STORAGE_KEY = 'bureaucratic-office-rpg/bindings';
+
+const KEY_NAMES = {
+    Space: 'Space',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    NumpadEnter: 'Numpad Enter',
+    Mouse0: 'Left Click',
+    Mouse1: 'Middle Click',
+    Mouse2: 'Right Click',
+    WheelUp: 'Wheel Up',
+    WheelDown: 'Wheel Down'
+};
+
+// Slot actions are named slot1 to slot9, returns the zero-based index or -1
+export function getSlotIndex(action) {
+    const match = action.match(/^slot(\d+)$/);
+    return match ? parseInt(match[1], 10) - 1 : -1;
+}
+
+export class InputManager extends EventTarget {
+    constructor(actions = INPUT_ACTIONS, settings = INPUT_SETTINGS) {
+        super();
+        this.actions = actions;
+        this.settings = settings;
+        this.bindings = this.getDefaultBindings(); // action -> { keyboard: [], gamepad: [] }
+        this.held = new Set(); // inputs currently down, e.g. 'KeyW', 'Mouse0', 'Pad7'
+        this.swallowed = new Set(); // inputs taken by rebinding, ignored until let go
+
+        // Analog sticks of the first connected gamepad, deadzone applied
+        this.moveStick = new THREE.Vector2();
+        this.lookStick = new THREE.Vector2();
+
+        // While rebinding, the next input goes to this callback instead of actions
+        this.capture = null;
+
+        this.load();
+        this.bindEventListeners();
+    }
+
+    bindEventListeners() {
+        document.addEventListener('keydown', (event) => {
+            if (this.capture && event.code === 'Escape') {
+                this.cancelCapture();
+                return;
+            }
+
+            // Typing into a menu's text field isn't playing
+            if (event.target instanceof HTMLInputElement && event.target.type === 'text') {
+                return;
+            }
+
+            // Keep bound keys such as Tab and Space from scrolling or moving focus while playing
+            if (this.press(event.code) && document.pointerLockElement) {
+                event.preventDefault();
+            }
+        });
+        document.addEventListener('keyup', (event) => this.release(event.code));
+
+        document.addEventListener('mousedown', (event) => this.press(`Mouse${event.button}`));
+        document.addEventListener('mouseup', (event) => this.release(`Mouse${event.button}`));
+
+        // Wheel notches have no release, they press and let go at once
+        document.addEventListener('wheel', (event) => {
+            const input = event.deltaY > 0 ? 'WheelDown' : 'WheelUp';
+            this.press(input);
+            this.release(input);
+        });
+
+        // Keys let go while the window is in the background never send keyup
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    getDefaultBindings() {
+        const bindings = {};
+        Object.keys(this.actions).forEach(action => {
+            bindings[action] = {
+                keyboard: [...this.actions[action].keyboard],
+                gamepad: [...this.actions[action].gamepad]
+            };
+        });
+        return bindings;
+    }
+
+    getActionsFor(input) {
+        const device = this.getDevice(input);
+        return Object.keys(this.bindings).filter(action => this.bindings[action][device].includes(input));
+    }
+
+    getDevice(input) {
+        return input.startsWith('Pad') ? 'gamepad' : 'keyboard';
+    }
+
+    isDown(action) {
+        const binding = this.bindings[action];
+        if (!binding) return false;
+        return binding.keyboard.some(input => this.held.has(input)) ||
+            binding.gamepad.some(input => this.held.has(input));
+    }
+
+    // Returns whether the input is bound to anything
+    press(input) {
+        if (this.held.has(input)) return this.getActionsFor(input).length > 0; // key repeat
+        if (this.swallowed.has(input)) return true;
+
+        if (this.capture) {
+            this.swallowed.add(input);
+            if (this.getDevice(input) === this.capture.device) {
+                this.finishCapture(input);
+            }
+            return true;
+        }
+
+        const actions = this.getActionsFor(input);
+        const wasDown = actions.filter(action => this.isDown(action));
+        this.held.add(input);
+
+        actions.forEach(action => {
+            if (!wasDown.includes(action)) {
+                this.dispatchAction('actionDown', action);
+            }
+        });
+        return actions.length > 0;
+    }
+
+    release(input) {
+        if (this.swallowed.delete(input) || !this.held.delete(input)) return;
+
+        this.getActionsFor(input).forEach(action => {
+            if (!this.isDown(action)) {
+                this.dispatchAction('actionUp', action);
+            }
+        });
+    }
+
+    releaseAll() {
+        [...this.held].forEach(input => this.release(input));
+        this.swallowed.clear();
+    }
+
+    isHeld(input) {
+        return this.held.has(input) || this.swallowed.has(input);
+    }
+
+    dispatchAction(name, action) {
+        this.dispatchEvent(new CustomEvent(name, { detail: { action } }));
+    }
+
+    // Polls the gamepad, called once per frame
+    update() {
+        this.moveStick.set(0, 0);
+        this.lookStick.set(0, 0);
+
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+        if (!gamepad) {
+            // Disconnected pads let go of everything they held
+            [...this.held, ...this.swallowed]
+                .filter(input => input.startsWith('Pad'))
+                .forEach(input => this.release(input));
+            return;
+        }
+
+        gamepad.buttons.forEach((button, index) => {
+            const input = `Pad${index}`;
+            const pressed = button.pressed || button.value > this.settings.triggerThreshold;
+            if (pressed && !this.isHeld(input)) {
+                this.press(input);
+            } else if (!pressed && this.isHeld(input)) {
+                this.release(input);
+            }
+        });
+
+        this.readStick(gamepad, this.settings.moveAxes, this.moveStick);
+        this.readStick(gamepad, this.settings.lookAxes, this.lookStick);
+    }
+
+    readStick(gamepad, [xAxis, yAxis], target) {
+        target.set(gamepad.axes[xAxis] || 0, gamepad.axes[yAxis] || 0);
+
+        // Radial deadzone, rescaled so the stick starts from zero at its edge
+        const length = target.length();
+        const deadzone = this.settings.stickDeadzone;
+        if (length <= deadzone) {
+            return target.set(0, 0);
+        }
+        return target.multiplyScalar(Math.min(1, (length - deadzone) / (1 - deadzone)) / length);
+    }
+
+    // -1 to 1 from a pair of opposing actions
+    getAxis(negative, positive) {
+        return (this.isDown(positive) ? 1 : 0) - (this.isDown(negative) ? 1 : 0);
+    }
+
+    // Wanted movement in view space (-z is forward), no longer than 1
+    getMoveVector(target = new THREE.Vector3()) {
+        target.set(
+            this.getAxis('moveLeft', 'moveRight') + this.moveStick.x,
+            0,
+            this.getAxis('moveForward', 'moveBackward') + this.moveStick.y
+        );
+        if (target.lengthSq() > 1) {
+            target.normalize();
+        }
+        return target;
+    }
+
+    // Radians to turn this frame from the right stick
+    getLookDelta(deltaTime, target = new THREE.Vector2()) {
+        return target.copy(this.lookStick).multiplyScalar(this.settings.lookSpeed * deltaTime);
+    }
+
+    // Rebinding: the next key or mouse button ('keyboard') or gamepad button
+    // ('gamepad') replaces the action's bindings on that device
+    captureNext(action, device, callback = null) {
+        this.releaseAll();
+        this.capture = { action, device, callback };
+    }
+
+    cancelCapture() {
+        const capture = this.capture;
+        this.capture = null;
+        if (capture && capture.callback) {
+            capture.callback(null);
+        }
+    }
+
+    finishCapture(input) {
+        const { action, device, callback } = this.capture;
+        this.capture = null;
+        this.rebind(action, device, input);
+        if (callback) {
+            callback(input);
+        }
+    }
+
+    rebind(action, device, input) {
+        // An input does one thing, so it leaves whatever it was bound to before
+        Object.values(this.bindings).forEach(binding => {
+            binding[device] = binding[device].filter(bound => bound !== input);
+        });
+        this.bindings[action][device] = [input];
+
+        this.save();
+        this.dispatchEvent(new CustomEvent('bindingsChanged', { detail: { action, device, input } }));
+    }
+
+    resetBindings() {
+        this.bindings = this.getDefaultBindings();
+        this.save();
+        this.dispatchEvent(new CustomEvent('bindingsChanged', { detail: {} }));
+    }
+
+    // Display name of one input, e.g. 'W', 'Left Click' or 'RT'
+    describeInput(input) {
+        if (input.startsWith('Pad')) {
+            return GAMEPAD_BUTTON_NAMES[Number(input.slice(3))] || `Button ${input.slice(3)}`;
+        }
+        if (KEY_NAMES[input]) return KEY_NAMES[input];
+        return input.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Numpad ');
+    }
+
+    // Display name of the first input bound to an action, for prompts and help text
+    getLabel(action, device = 'keyboard') {
+        const input = this.bindings[action] && this.bindings[action][device][0];
+        return input ? this.describeInput(input) : 'unbound';
+    }
+
+    load() {
+        try {
+            const json = localStorage.getItem(STORAGE_KEY);
+            if (!json) return;
+
+            // Actions added since the bindings were saved keep their defaults
+            const stored = JSON.parse(json);
+            Object.keys(this.bindings).forEach(action => {
+                ['keyboard', 'gamepad'].forEach(device => {
+                    if (stored[action] && Array.isArray(stored[action][device])) {
+                        this.bindings[action][device] = stored[action][device].filter(input => typeof input === 'string');
+                    }
+                });
+            });
+        } catch (e) {
+            console.warn('Could not load key bindings, using defaults:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Could not save key bindings:', e.message);
+        }
+    }
+}
@@ -0,0 +1,160 @@
+// Interaction.js - E key interaction with props under the crosshair
+import * as THREE from 'three';
+import { INTERACTABLE_TYPES, INTERACTION_SETTINGS } from './data/interactables.js';
+import { emit } from './Events.js';
+
+export class InteractionSystem {
+    constructor(player, office, scene, settings = INTERACTION_SETTINGS) {
+        this.player = player;
+        this.office = office;
+        this.settings = settings;
+        this.raycaster = new THREE.Raycaster();
+        this.screenCenter = new THREE.Vector2(0, 0);
+        this.handlers = {};
+        this.current = null;
+
+        // Outline around whatever the player is looking at
+        this.highlight = new THREE.BoxHelper(undefined, settings.highlightColor);
+        this.highlight.visible = false;
+        scene.add(this.highlight);
+    }
+
+    // Handlers receive the interactable and may return extra event detail
+    registerHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    update() {
+        const target = this.findTarget();
+        if (target !== this.current) {
+            this.current = target;
+            this.dispatchTargetChanged();
+        }
+
+        if (this.current) {
+            // Doors swing, so refit the outline every frame
+            this.highlight.setFromObject(this.current.object);
+        }
+    }
+
+    findTarget() {
+        const camera = this.player.camera;
+        this.raycaster.setFromCamera(this.screenCenter, camera);
+
+        // In third person the camera sits behind the player, reach is measured from the eyes
+        this.raycaster.far = camera.position.distanceTo(this.player.position) + this.settings.range;
+        const hit = this.raycaster.intersectObjects(this.office.getCollidableObjects(), false)[0];
+        if (!hit || hit.point.distanceTo(this.player.position) > this.settings.range) {
+            return null;
+        }
+
+        // Only the nearest surface counts, props behind walls can't be used
+        return this.office.findInteractable(hit.object);
+    }
+
+    interact() {
+        const interactable = this.current;
+        if (!interactable) return false;
+
+        const handler = this.handlers[interactable.type];
+        if (!handler) {
+            console.warn(`No interaction handler for ${interactable.type}`);
+            return false;
+        }
+
+        const result = handler(interactable) || {};
+        this.dispatchTargetChanged();
+
+        emit('interacted', {
+            type: interactable.type,
+            object: interactable.object,
+            position: interactable.object.getWorldPosition(new THREE.Vector3()),
+            ...result
+        });
+        return true;
+    }
+
+    clear() {
+        this.current = null;
+        this.dispatchTargetChanged();
+    }
+
+    // The HUD shows the prompt, the outline is drawn here
+    dispatchTargetChanged() {
+        this.highlight.visible = !!this.current;
+        emit('interactionTargetChanged', {
+            type: this.current ? this.current.type : null,
+            prompt: this.current ? this.current.prompt : null
+        });
+    }
+}
+
+// What the persistent props of every floor visited were left like. While a
+// floor is loaded its props share their state objects with this record, so
+// handlers update it as they go. Cooldowns are stored as readyAt in
+// simulation time and saved as seconds left, as the clock restarts on load.
+export class InteractableMemory {
+    constructor(office, getTime) {
+        this.office = office;
+        this.getTime = getTime;
+        this.floors = {}; // mapId -> { key: state }
+    }
+
+    // Node names, numbered when a map repeats one
+    forEachPersistent(callback) {
+        const seen = {};
+        this.office.getInteractables().forEach(interactable => {
+            if (!INTERACTABLE_TYPES[interactable.type] || !INTERACTABLE_TYPES[interactable.type].persistent) return;
+
+            const name = interactable.object.name;
+            seen[name] = (seen[name] || 0) + 1;
+            callback(interactable, seen[name] > 1 ? `${name}#${seen[name]}` : name);
+        });
+    }
+
+    // Called once a floor's props exist
+    attach() {
+        const mapId = this.office.mapId;
+        if (!mapId) return;
+
+        const floor = this.floors[mapId] = this.floors[mapId] || {};
+        this.forEachPersistent((interactable, key) => {
+            floor[key] = floor[key] || {};
+            interactable.state = floor[key];
+        });
+    }
+
+    serialize() {
+        const now = this.getTime();
+        const data = {};
+        for (const mapId in this.floors) {
+            data[mapId] = {};
+            for (const key in this.floors[mapId]) {
+                const state = this.floors[mapId][key];
+                const saved = {};
+                if (state.searched) saved.searched = true;
+                if (state.readyAt > now) saved.cooldown = state.readyAt - now;
+                if (Object.keys(saved).length > 0) {
+                    data[mapId][key] = saved;
+                }
+            }
+        }
+        return data;
+    }
+
+    deserialize(data) {
+        const now = this.getTime();
+        this.floors = {};
+        for (const mapId in data) {
+            this.floors[mapId] = {};
+            for (const key in data[mapId]) {
+                const saved = data[mapId][key];
+                const state = {};
+                if (saved.searched) state.searched = true;
+                if (saved.cooldown > 0) state.readyAt = now + saved.cooldown;
+                this.floors[mapId][key] = state;
+            }
+        }
+        this.attach();
+    }
+}
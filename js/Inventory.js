@@ -0,0 +1,75 @@
+// Inventory.js - Documents, stamp ink and consumables the player carries
+import { STARTING_INVENTORY, CARRY_LIMITS } from './data/inventory.js';
+
+// Dispatches 'change' whenever a count changes
+export class Inventory extends EventTarget {
+    constructor(contents = STARTING_INVENTORY, limits = CARRY_LIMITS) {
+        super();
+        this.limits = limits;
+        this.items = {};
+
+        for (const category in contents) {
+            this.items[category] = { ...contents[category] };
+        }
+    }
+
+    count(category, item) {
+        return (this.items[category] && this.items[category][item]) || 0;
+    }
+
+    has(category, item, amount = 1) {
+        return this.count(category, item) >= amount;
+    }
+
+    setCount(category, item, value) {
+        const previous = this.count(category, item);
+        if (value === previous) return;
+
+        this.items[category] = this.items[category] || {};
+        this.items[category][item] = value;
+        this.dispatchEvent(new CustomEvent('change', { detail: { category, item, count: value, previous } }));
+    }
+
+    // Returns how many were actually added, the rest doesn't fit
+    add(category, item, amount = 1) {
+        const previous = this.count(category, item);
+        const count = Math.min(this.limits[category] ?? Infinity, previous + amount);
+        this.setCount(category, item, count);
+        return count - previous;
+    }
+
+    remove(category, item, amount = 1) {
+        if (!this.has(category, item, amount)) return false;
+
+        this.setCount(category, item, this.count(category, item) - amount);
+        return true;
+    }
+
+    // Rolls a pickup table from data/inventory.js, returns what was added
+    addPickups(table, random = Math.random) {
+        const added = [];
+        table.forEach(entry => {
+            if (random() >= entry.chance) return;
+
+            const amount = entry.min + Math.floor(random() * (entry.max - entry.min + 1));
+            const taken = this.add(entry.category, entry.item, amount);
+            if (taken > 0) {
+                added.push({ category: entry.category, item: entry.item, amount: taken });
+            }
+        });
+        return added;
+    }
+
+    serialize() {
+        return JSON.parse(JSON.stringify(this.items));
+    }
+
+    deserialize(data) {
+        // Items missing from older saves keep their current counts
+        for (const category in data) {
+            for (const item in data[category]) {
+                this.setCount(category, item, data[category][item]);
+            }
+        }
+    }
+}
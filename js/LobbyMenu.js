@@ -0,0 +1,200 @@
+// LobbyMenu.js - Joining a match server, its lobby and the last match's results, shown on the pause menu
+import { MAPS } from './data/maps.js';
+import { MULTIPLAYER_SETTINGS, MATCH_MODES, DEPARTMENTS } from './data/multiplayer.js';
+
+const STORAGE_KEY = 'bureaucratic-office-rpg/multiplayer';
+
+const LOBBY_STATUS = {
+    lobby: 'Waiting for the host to start',
+    starting: 'Starting...',
+    playing: 'Match in progress, resume to play',
+    results: 'Match over, back to the lobby in a moment'
+};
+
+export class LobbyMenu {
+    constructor(client, settings = MULTIPLAYER_SETTINGS) {
+        this.client = client;
+        this.element = document.getElementById('lobby-menu');
+
+        // The name and server last joined with
+        this.name = '';
+        this.url = `ws://${location.hostname || 'localhost'}:${settings.port}`;
+        this.load();
+
+        client.addEventListener('change', () => this.render());
+
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        if (this.client.status === 'lobby') {
+            this.renderLobby(this.client.lobby);
+        } else {
+            this.renderConnect();
+        }
+    }
+
+    renderConnect() {
+        const client = this.client;
+
+        const name = this.createInput(this.name, 'Your name');
+        const url = this.createInput(this.url, 'ws://host:port');
+        this.addRow('Name', name);
+        this.addRow('Server', url);
+
+        const connect = this.createButton(client.status === 'connecting' ? 'Connecting...' : 'Join', () => {
+            this.name = name.value.trim();
+            this.url = url.value.trim();
+            this.save();
+            client.connect(this.url, this.name);
+        });
+        connect.disabled = client.status === 'connecting';
+        this.element.appendChild(connect);
+
+        this.addText(client.error || 'Start a server with `npm run server`, everyone on the network can join it', client.error ? 'error' : '');
+    }
+
+    renderLobby(lobby) {
+        const client = this.client;
+        const isHost = client.isHost();
+        const inLobby = lobby.state === 'lobby';
+        const teams = MATCH_MODES[lobby.mode].teams;
+
+        this.addText(LOBBY_STATUS[lobby.state]);
+
+        // The host picks the match, everyone else sees what was picked
+        if (isHost) {
+            const mode = this.createSelect(MATCH_MODES, lobby.mode, (value) => client.configure(value, lobby.mapId));
+            const map = this.createSelect(MAPS, lobby.mapId, (value) => client.configure(lobby.mode, value));
+            mode.disabled = map.disabled = !inLobby;
+            this.addRow('Mode', mode);
+            this.addRow('Map', map);
+        } else {
+            this.addText(`${MATCH_MODES[lobby.mode].name} on ${MAPS[lobby.mapId].name}`);
+        }
+
+        if (teams) {
+            const me = client.getPlayer();
+            const department = this.createSelect(DEPARTMENTS, me.department, (value) => client.setDepartment(value));
+            department.disabled = !inLobby;
+            this.addRow('Department', department);
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'lobby-players';
+        lobby.players.forEach(player => {
+            const item = document.createElement('li');
+            const details = [
+                player.id === lobby.hostId ? 'host' : (player.ready ? 'ready' : 'not ready'),
+                teams ? DEPARTMENTS[player.department].name : null
+            ].filter(Boolean);
+            item.textContent = `${player.name}${player.id === client.id ? ' (you)' : ''}: ${details.join(', ')}`;
+            list.appendChild(item);
+        });
+        this.element.appendChild(list);
+
+        if (client.lastResults && !['starting', 'playing'].includes(lobby.state)) {
+            this.addText(this.describeResults(client.lastResults, lobby));
+        }
+
+        if (isHost) {
+            const start = this.createButton('Start match', () => client.startMatch());
+            start.disabled = Boolean(lobby.startProblem);
+            this.element.appendChild(start);
+            if (lobby.startProblem && inLobby) {
+                this.addText(lobby.startProblem);
+            }
+        } else {
+            const me = client.getPlayer();
+            const ready = this.createButton(me.ready ? 'Not ready' : 'Ready', () => client.setReady(!me.ready));
+            ready.disabled = !inLobby;
+            this.element.appendChild(ready);
+        }
+        this.element.appendChild(this.createButton('Leave', () => client.disconnect()));
+    }
+
+    // Players who left before the end are still named in the scores
+    describeResults(results, lobby) {
+        const teams = MATCH_MODES[results.mode].teams;
+        const getName = (id) => {
+            const player = lobby.players.find(info => info.id === Number(id));
+            return player ? player.name : 'Someone who left';
+        };
+
+        const scores = teams
+            ? Object.entries(results.scores.departments).map(([department, score]) => `${DEPARTMENTS[department].name} ${score}`)
+            : Object.entries(results.scores.players).map(([id, score]) => `${getName(id)} ${score}`);
+        const winner = results.winner === null
+            ? 'A draw'
+            : `${teams ? DEPARTMENTS[results.winner].name : getName(results.winner)} won`;
+        return `Last match: ${winner} (${scores.join(', ')})`;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            this.name = typeof stored.name === 'string' ? stored.name : this.name;
+            this.url = typeof stored.url === 'string' && stored.url ? stored.url : this.url;
+        } catch (e) {
+            console.warn('Could not load multiplayer details:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ name: this.name, url: this.url }));
+        } catch (e) {
+            console.warn('Could not save multiplayer details:', e.message);
+        }
+    }
+
+    addRow(text, control) {
+        const row = document.createElement('div');
+        row.className = 'lobby-row';
+
+        const label = document.createElement('span');
+        label.className = 'lobby-label';
+        label.textContent = text;
+        row.appendChild(label);
+        row.appendChild(control);
+        this.element.appendChild(row);
+    }
+
+    addText(text, className = '') {
+        const paragraph = document.createElement('p');
+        paragraph.className = className;
+        paragraph.textContent = text;
+        this.element.appendChild(paragraph);
+    }
+
+    createInput(value, placeholder) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.placeholder = placeholder;
+        return input;
+    }
+
+    // Options from one of the data registries, each entry has a name
+    createSelect(entries, value, onChange) {
+        const select = document.createElement('select');
+        Object.keys(entries).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = entries[key].name;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
@@ -0,0 +1,141 @@
+// MatchClient.js - Connection to a match server and the lobby it runs, see server/MatchServer.js
+import { emit } from './Events.js';
+
+// Every message from the server is dispatched as an event of its type with
+// the message as detail; 'change' follows anything the lobby menu shows
+export class MatchClient extends EventTarget {
+    constructor(WebSocketClass = globalThis.WebSocket) {
+        super();
+        this.WebSocketClass = WebSocketClass;
+        this.socket = null;
+        this.status = 'offline'; // offline, connecting or lobby
+        this.id = null;
+        this.lobby = null;
+        this.lastResults = null;
+        this.error = null;
+    }
+
+    connect(url, name) {
+        this.disconnect();
+        this.status = 'connecting';
+        this.error = null;
+        this.changed();
+
+        let socket;
+        try {
+            socket = new this.WebSocketClass(url);
+        } catch (e) {
+            this.fail(`Could not connect to ${url}`);
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => this.send('hello', { name });
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+            this.onMessage(message);
+        };
+        socket.onerror = () => {
+            if (this.socket === socket) {
+                this.fail(`Could not reach the server at ${url}`);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.status = 'offline';
+            this.id = null;
+            this.lobby = null;
+            this.dispatchEvent(new CustomEvent('disconnected'));
+            this.changed();
+        };
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this.status = 'offline';
+        this.id = null;
+        this.lobby = null;
+        this.dispatchEvent(new CustomEvent('disconnected'));
+        this.changed();
+    }
+
+    fail(message) {
+        this.error = message;
+        emit('multiplayerError', { message });
+        this.disconnect();
+        this.status = 'offline';
+        this.changed();
+    }
+
+    onMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.lobby = message.lobby;
+                this.status = 'lobby';
+                break;
+            case 'lobby':
+                this.lobby = message.lobby;
+                break;
+            case 'matchEnded':
+                this.lastResults = message;
+                break;
+            case 'error':
+                this.error = message.message;
+                emit('multiplayerError', { message: message.message });
+                break;
+        }
+
+        this.dispatchEvent(new CustomEvent(message.type, { detail: message }));
+        if (['welcome', 'lobby', 'matchEnded', 'error'].includes(message.type)) {
+            this.changed();
+        }
+    }
+
+    send(type, data = {}) {
+        if (!this.socket || this.socket.readyState !== 1) return; // OPEN
+        this.socket.send(JSON.stringify({ type, ...data }));
+    }
+
+    isConnected() {
+        return this.status === 'lobby';
+    }
+
+    isHost() {
+        return Boolean(this.lobby) && this.lobby.hostId === this.id;
+    }
+
+    getPlayer(id = this.id) {
+        return this.lobby ? this.lobby.players.find(player => player.id === id) || null : null;
+    }
+
+    configure(mode, mapId) {
+        this.send('configure', { mode, mapId });
+    }
+
+    setDepartment(department) {
+        this.send('department', { department });
+    }
+
+    setReady(ready) {
+        this.send('ready', { ready });
+    }
+
+    startMatch() {
+        this.send('start');
+    }
+
+    changed() {
+        this.dispatchEvent(new CustomEvent('change'));
+    }
+}
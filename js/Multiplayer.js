@@ -0,0 +1,519 @@
+// Multiplayer.js - This side of a versus match: predicted movement, the other players and what the server decides
+import * as THREE from 'three';
+import { ScriptedInput } from './ScriptedInput.js';
+import { emit, on } from './Events.js';
+import { MAPS } from './data/maps.js';
+import { DOCUMENT_TYPES } from './data/inventory.js';
+import { STAMP_ABILITIES } from './data/stamps.js';
+import {
+    MULTIPLAYER_SETTINGS,
+    MOVEMENT_ACTIONS,
+    MATCH_LOADOUT,
+    MATCH_MODES,
+    DEPARTMENTS,
+    PLAYER_COLORS
+} from './data/multiplayer.js';
+
+const MESH_OFFSET = 0.05; // the capsule's centre above the eyes, as Player.updateMesh places it
+const MAX_STATES = 30; // snapshots kept per remote player
+const MAX_PENDING = 120; // steps of movement kept while the server doesn't answer
+
+// Another player, drawn a little behind the latest snapshot so there are
+// nearly always two to move between
+export class RemotePlayer {
+    constructor(scene, { id, name, department }, color) {
+        this.scene = scene;
+        this.id = id;
+        this.name = name;
+        this.department = department;
+        this.states = []; // { time, position, yaw, alive }, oldest first
+
+        // The same capsule and visor as the player's own
+        this.geometry = new THREE.CapsuleGeometry(0.35, 1.0, 4, 8);
+        this.material = new THREE.MeshStandardMaterial({ color, metalness: 0.5, roughness: 0.5 });
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.mesh.userData.remotePlayer = this;
+
+        this.visor = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 0.12, 0.15),
+            new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.8, roughness: 0.2 })
+        );
+        this.visor.position.set(0, 0.45, 0.3);
+        this.mesh.add(this.visor);
+        this.scene.add(this.mesh);
+    }
+
+    // Eye position and view yaw as the server sends them
+    addState(time, position, yaw, alive) {
+        this.states.push({ time, position: new THREE.Vector3().fromArray(position), yaw, alive });
+        if (this.states.length > MAX_STATES) {
+            this.states.shift();
+        }
+    }
+
+    update(renderTime) {
+        const states = this.states;
+        if (states.length === 0) return;
+
+        while (states.length > 2 && states[1].time <= renderTime) {
+            states.shift();
+        }
+
+        const [from, to = from] = states;
+        const span = to.time - from.time;
+        const t = span > 0 ? THREE.MathUtils.clamp((renderTime - from.time) / span, 0, 1) : 1;
+        this.mesh.position.lerpVectors(from.position, to.position, t);
+        this.mesh.position.y += MESH_OFFSET;
+
+        // The shortest way round, the view looks down -z and the mesh faces +z
+        const turn = Math.atan2(Math.sin(to.yaw - from.yaw), Math.cos(to.yaw - from.yaw));
+        this.mesh.rotation.y = from.yaw + turn * t + Math.PI;
+
+        // Hidden from being buried until standing at the new spawn
+        this.mesh.visible = from.alive && to.alive;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.visor.geometry.dispose();
+        this.visor.material.dispose();
+    }
+}
+
+// The player moves straight away and every step is sent to the server, which
+// moves them with the same code. Its snapshots say how far it got; the player
+// is put where it says and the steps it hasn't moved yet are run again.
+// Documents, stamps and consumables happen here as usual and are sent as
+// well, but only the server decides who was hit.
+export class MultiplayerMatch {
+    // start is the server's matchStarted message
+    constructor(simulation, client, start, settings = MULTIPLAYER_SETTINGS) {
+        this.simulation = simulation;
+        this.client = client;
+        this.settings = settings;
+        this.mode = start.mode;
+        this.teams = MATCH_MODES[start.mode].teams;
+        this.mapId = start.mapId;
+        this.rules = start.rules;
+        this.players = start.players; // { id, name, department, position, yaw }
+        this.me = this.players.find(player => player.id === client.id);
+
+        this.started = false;
+        this.ended = false;
+        this.savedGame = null; // put back when the match is over
+
+        // Steps of movement sent and not yet moved by the server
+        this.sequence = 0;
+        this.pending = [];
+        this.jumpQueued = false;
+        this.replayInput = new ScriptedInput();
+        this.viewQuaternion = new THREE.Quaternion();
+        this.latestState = null; // the player's newest state from the server, not yet applied
+
+        // Buried players stand still until they respawn
+        this.alive = true;
+        this.patience = this.rules.patience;
+        this.ownInput = null;
+        this.idleInput = new ScriptedInput();
+
+        this.serverTime = 0; // estimated, runs on between snapshots
+        this.remotes = new Map(); // id -> RemotePlayer
+
+        this.listeners = [];
+        this.clientListeners = [];
+        this.bindClient();
+    }
+
+    bindClient() {
+        const handlers = {
+            snapshot: (message) => this.onSnapshot(message),
+            projectile: (message) => this.onProjectile(message),
+            stamp: (message) => this.onStamp(message),
+            hit: (message) => this.onHit(message),
+            eliminated: (message) => this.onEliminated(message),
+            respawn: (message) => this.onRespawn(message),
+            playerLeft: (message) => this.onPlayerLeft(message),
+            matchEnded: (message) => this.end(message),
+            disconnected: () => this.end(null)
+        };
+
+        Object.keys(handlers).forEach(type => {
+            const listener = (event) => {
+                // Updates from before the map was in are already out of date
+                if (this.started || type === 'matchEnded' || type === 'disconnected') {
+                    handlers[type](event.detail);
+                }
+            };
+            this.client.addEventListener(type, listener);
+            this.clientListeners.push(() => this.client.removeEventListener(type, listener));
+        });
+    }
+
+    // Goes to the match's map when the player is on another one
+    start() {
+        const sim = this.simulation;
+        this.savedGame = sim.saves.serialize();
+
+        if (sim.office.mapId === this.mapId && sim.office.currentMap && !sim.office.isLoading) {
+            this.begin();
+            return Promise.resolve(true);
+        }
+
+        return sim.changeMap(this.mapId)
+            .then((changed) => {
+                if (!changed) {
+                    throw new Error('another map is still loading');
+                }
+                if (this.ended) {
+                    return sim.restoreSnapshot(this.savedGame).then(() => false);
+                }
+                this.begin();
+                return true;
+            })
+            .catch((error) => {
+                console.error('Could not start the match:', error);
+                emit('multiplayerError', { message: `Could not load ${MAPS[this.mapId].name}` });
+                this.client.disconnect();
+                return false;
+            });
+    }
+
+    begin() {
+        const sim = this.simulation;
+        this.started = true;
+        sim.stopRecording();
+
+        // Nobody but the players in the office, and no doors out of it
+        sim.resetWorld();
+        sim.encounters.clearTriggers();
+        sim.npcs.clear();
+        sim.transitionsEnabled = false;
+        sim.network = this;
+        sim.combat.startCombat();
+
+        // Everyone starts the same, whatever their career
+        const player = sim.player;
+        player.inventory.deserialize(MATCH_LOADOUT);
+        player.statusEffects.clear();
+        player.career.setStamina(player.career.maxStamina);
+        player.teleport(new THREE.Vector3().fromArray(this.me.position), this.me.yaw);
+
+        this.players.forEach((info, index) => {
+            if (info.id === this.client.id) return;
+
+            const color = this.teams ? DEPARTMENTS[info.department].color : PLAYER_COLORS[index % PLAYER_COLORS.length];
+            this.remotes.set(info.id, new RemotePlayer(sim.scene, info, color));
+        });
+
+        // What the player does is sent as it happens
+        this.listeners = [
+            on('documentThrown', (event) => {
+                this.client.send('throw', { documentType: event.detail.documentType, velocity: event.detail.velocity.toArray() });
+            }),
+            on('stampUsed', (event) => {
+                this.client.send('stamp', { stampType: event.detail.stampType, position: event.detail.position.toArray() });
+            }),
+            on('consumableUsed', (event) => {
+                if (event.detail.effect) {
+                    this.client.send('effect', { effect: event.detail.effect });
+                }
+            }),
+            // Loading a save takes the player out of the match
+            on('mapUnloaded', () => this.client.disconnect())
+        ];
+
+        emit('matchStarted', {
+            mode: this.mode,
+            modeName: MATCH_MODES[this.mode].name,
+            mapName: MAPS[this.mapId].name,
+            scoreLimit: this.rules.scoreLimit
+        });
+    }
+
+    getName(id) {
+        const player = this.players.find(info => info.id === id);
+        return player ? player.name : 'Someone';
+    }
+
+    recordAction(action) {
+        if (action === 'jump') {
+            this.jumpQueued = true;
+        }
+    }
+
+    // Called before each step moves the player, with the input it moves them by
+    recordStep(deltaTime) {
+        const player = this.simulation.player;
+        const input = player.input;
+        const command = {
+            s: ++this.sequence,
+            d: deltaTime,
+            h: MOVEMENT_ACTIONS.filter(action => input.isDown(action)),
+            m: input.moveStick.toArray(),
+            q: player.head.quaternion.toArray(),
+            j: this.jumpQueued
+        };
+        this.jumpQueued = false;
+
+        this.pending.push(command);
+        if (this.pending.length > MAX_PENDING) {
+            this.pending.shift();
+        }
+        this.client.send('input', command);
+    }
+
+    update(deltaTime) {
+        this.serverTime += deltaTime;
+
+        if (this.latestState) {
+            this.reconcile(this.latestState);
+            this.latestState = null;
+        }
+
+        // Only players who are standing can be hit
+        const renderTime = this.serverTime - this.settings.interpolationDelay;
+        this.remotes.forEach(remote => {
+            remote.update(renderTime);
+            if (remote.mesh.visible) {
+                this.simulation.combat.addTarget(remote.mesh);
+            } else {
+                this.simulation.combat.removeTarget(remote.mesh);
+            }
+        });
+    }
+
+    // From where the server has the player after the last step it moved, the
+    // steps it hasn't got to are run again as they were first run
+    reconcile(state) {
+        const player = this.simulation.player;
+        this.pending = this.pending.filter(command => command.s > state.ack);
+
+        player.position.fromArray(state.p);
+        player.velocity.fromArray(state.v);
+        player.isOnGround = state.g;
+
+        const ownInput = player.input;
+        this.viewQuaternion.copy(player.head.quaternion);
+        player.input = this.replayInput;
+
+        this.pending.forEach(command => {
+            this.replayInput.setHeld(command.h);
+            this.replayInput.moveStick.fromArray(command.m);
+            player.head.quaternion.fromArray(command.q);
+            player.input.getMoveVector(player.moveDirection);
+            player.isMoving = player.moveDirection.lengthSq() > 0;
+            player.isRunning = player.input.isDown('run');
+
+            if (command.j) {
+                player.jump();
+            }
+            player.move(command.d);
+        });
+
+        player.input = ownInput;
+        player.head.quaternion.copy(this.viewQuaternion);
+    }
+
+    onSnapshot(snapshot) {
+        this.serverTime = Math.max(this.serverTime, snapshot.time);
+
+        snapshot.players.forEach(state => {
+            if (state.id === this.client.id) {
+                this.latestState = state;
+                this.patience = state.hp;
+                return;
+            }
+
+            const remote = this.remotes.get(state.id);
+            if (remote) {
+                remote.addState(snapshot.time, state.p, state.y, state.alive);
+            }
+        });
+
+        emit('matchStatus', {
+            patience: this.patience,
+            maxPatience: this.rules.patience,
+            alive: this.alive,
+            timeLeft: snapshot.timeLeft,
+            scores: this.describeScores(snapshot.scores)
+        });
+    }
+
+    // Best first; departments in a team match, players otherwise
+    describeScores(scores) {
+        const entries = this.teams
+            ? Object.keys(scores.departments).map(department => ({
+                name: DEPARTMENTS[department].name,
+                score: scores.departments[department],
+                mine: department === this.me.department
+            }))
+            : Object.keys(scores.players).map(id => ({
+                name: this.getName(Number(id)),
+                score: scores.players[id],
+                mine: Number(id) === this.client.id
+            }));
+        return entries.sort((a, b) => b.score - a.score);
+    }
+
+    // Other players' documents fly here too, but only hit walls; the server says who they hit
+    onProjectile({ owner, documentType, origin, velocity }) {
+        // Types this game doesn't have, e.g. from a newer server, are left out
+        if (owner === this.client.id || !Object.hasOwn(DOCUMENT_TYPES, documentType)) return;
+
+        const projectile = this.simulation.combat.launchProjectile(
+            documentType,
+            new THREE.Vector3().fromArray(origin),
+            new THREE.Vector3().fromArray(velocity),
+            0,
+            true
+        );
+        projectile.userData.owner = owner;
+        emit('remoteDocumentThrown', { documentType, position: projectile.position.clone() });
+    }
+
+    onStamp({ owner, stampType, position }) {
+        if (owner === this.client.id || !Object.hasOwn(STAMP_ABILITIES, stampType)) return;
+
+        const point = new THREE.Vector3().fromArray(position);
+        this.simulation.combat.createStampEffect(point, stampType);
+        emit('remoteStampUsed', { stampType, position: point });
+    }
+
+    onHit({ attacker, target, kind, item, damage, point, effect, duration }) {
+        const combat = this.simulation.combat;
+
+        // The document that hit stops here as well
+        if (kind === 'document') {
+            const projectile = combat.activeProjectiles.find(active =>
+                active.userData.remote && active.userData.owner === attacker && active.userData.documentType === item
+            );
+            if (projectile) {
+                combat.removeProjectile(projectile);
+            }
+        }
+
+        const onMe = target === this.client.id;
+        if (onMe) {
+            this.patience = Math.max(0, this.patience - damage);
+            if (effect) {
+                this.simulation.player.statusEffects.apply(effect, duration);
+            }
+        }
+
+        // The player's own documents already showed where they landed
+        emit('matchHit', {
+            attackerName: this.getName(attacker),
+            targetName: this.getName(target),
+            kind,
+            item,
+            documentType: kind === 'document' ? item : null,
+            damage,
+            point: new THREE.Vector3().fromArray(point),
+            byMe: attacker === this.client.id,
+            onMe
+        });
+    }
+
+    onEliminated({ attacker, target }) {
+        if (target === this.client.id) {
+            this.setAlive(false);
+        }
+        emit('playerEliminated', {
+            attackerName: this.getName(attacker),
+            targetName: this.getName(target),
+            byMe: attacker === this.client.id,
+            onMe: target === this.client.id
+        });
+    }
+
+    onRespawn({ id, position, yaw }) {
+        if (id !== this.client.id) return;
+
+        const player = this.simulation.player;
+        player.teleport(new THREE.Vector3().fromArray(position), yaw);
+        player.statusEffects.clear();
+        this.pending = [];
+        this.latestState = null;
+        this.patience = this.rules.patience;
+        this.setAlive(true);
+    }
+
+    onPlayerLeft({ id }) {
+        const remote = this.remotes.get(id);
+        if (!remote) return;
+
+        this.simulation.combat.removeTarget(remote.mesh);
+        remote.dispose();
+        this.remotes.delete(id);
+        emit('playerLeftMatch', { name: remote.name });
+    }
+
+    // Buried players can't move, throw, stamp or use anything; the view still
+    // turns. Combat stays on, so documents already flying land as they would.
+    setAlive(alive) {
+        if (this.alive === alive) return;
+
+        const sim = this.simulation;
+        this.alive = alive;
+        if (alive) {
+            sim.player.input = this.ownInput;
+        } else {
+            this.ownInput = sim.player.input;
+            sim.player.input = this.idleInput;
+        }
+    }
+
+    // Asked by Simulation.performAction before any action is done
+    allowsAction(action) {
+        return this.alive || action === 'toggleView';
+    }
+
+    // results is the server's matchEnded message, or null when the connection went
+    end(results) {
+        if (this.ended) return;
+        this.ended = true;
+
+        this.clientListeners.forEach(remove => remove());
+        this.clientListeners = [];
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+
+        const sim = this.simulation;
+        this.remotes.forEach(remote => {
+            sim.combat.removeTarget(remote.mesh);
+            remote.dispose();
+        });
+        this.remotes.clear();
+
+        // Back to the career, where the player was before the match
+        if (this.started) {
+            this.setAlive(true);
+            sim.network = null;
+            sim.transitionsEnabled = true;
+            sim.restoreSnapshot(this.savedGame)
+                .catch(error => console.error('Could not return from the match:', error));
+        }
+
+        emit('matchEnded', this.describeResults(results));
+    }
+
+    describeResults(results) {
+        if (!results) {
+            return { interrupted: true, won: false, tie: false, teams: this.teams, winnerName: null, scores: [] };
+        }
+
+        const winner = results.winner;
+        return {
+            interrupted: false,
+            won: this.teams ? winner === this.me.department : winner === this.client.id,
+            tie: winner === null,
+            teams: this.teams,
+            winnerName: winner === null ? null : (this.teams ? DEPARTMENTS[winner].name : this.getName(winner)),
+            scores: this.describeScores(results.scores)
+        };
+    }
+}
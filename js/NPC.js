@@ -0,0 +1,424 @@
+// NPC.js - Coworker NPCs and their behaviour state machine
+import * as THREE from 'three';
+import {
+    COWORKER_SETTINGS,
+    COWORKER_COLORS,
+    DOCUMENT_REACTIONS,
+    STAMP_REACTIONS
+} from './data/npc.js';
+import { STAMP_ABILITIES } from './data/stamps.js';
+import { emit, on } from './Events.js';
+import { StatusEffects } from './StatusEffects.js';
+
+export class Coworker {
+    constructor(scene, navGrid, deskPosition, options = {}) {
+        this.scene = scene;
+        this.navGrid = navGrid;
+        this.name = options.name || 'Coworker';
+        this.settings = options.settings || COWORKER_SETTINGS;
+        this.random = options.random || Math.random;
+
+        // Feet position on the floor, the mesh is offset to stand on it
+        this.position = deskPosition.clone();
+        this.deskPosition = deskPosition.clone();
+        this.height = 1.7;
+
+        // Behaviour state
+        this.state = null;
+        this.stateTime = 0;
+        this.stateDuration = 0;
+        this.path = null;
+        this.pathIndex = 0;
+        this.repathTimer = 0;
+        this.lingerTime = 0;
+        this.threatPosition = new THREE.Vector3();
+        this.paperworkCooldown = 0;
+
+        // Hit reaction state, documents wear down composure until they run
+        this.composure = this.settings.composure;
+        this.staggerTime = 0;
+        this.knockback = new THREE.Vector3();
+        this.statusEffects = new StatusEffects();
+
+        // Create coworker model
+        this.geometry = new THREE.CapsuleGeometry(0.35, 1.0, 4, 8);
+        this.material = new THREE.MeshStandardMaterial({
+            color: options.color || COWORKER_COLORS[0],
+            metalness: 0.2,
+            roughness: 0.7
+        });
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.name = this.name;
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.mesh.userData.npc = this;
+        this.scene.add(this.mesh);
+        this.updateMesh();
+
+        this.setState('idle');
+    }
+
+    setState(state, duration = 0) {
+        this.state = state;
+        this.stateTime = 0;
+        this.stateDuration = duration;
+        this.path = null;
+        this.pathIndex = 0;
+        this.repathTimer = 0;
+        this.lingerTime = 0;
+
+        switch (state) {
+            case 'idle':
+                // Back at the desk they pull themselves together
+                this.composure = this.settings.composure;
+                this.stateDuration = duration || this.settings.minIdleTime +
+                    this.random() * (this.settings.maxIdleTime - this.settings.minIdleTime);
+                break;
+            case 'return':
+                this.setPathTo(this.deskPosition);
+                break;
+        }
+    }
+
+    setPathTo(destination) {
+        this.path = this.navGrid ? this.navGrid.findPath(this.position, destination) : null;
+        this.pathIndex = 0;
+        return this.path !== null;
+    }
+
+    update(deltaTime, context) {
+        this.stateTime += deltaTime;
+        this.paperworkCooldown = Math.max(0, this.paperworkCooldown - deltaTime);
+        this.statusEffects.update(deltaTime);
+
+        this.updateKnockback(deltaTime);
+
+        // Staggered coworkers can't act until they recover, ones put on hold until it expires
+        if (this.staggerTime > 0 || this.statusEffects.has('onHold')) {
+            this.staggerTime = Math.max(0, this.staggerTime - deltaTime);
+            this.updateMesh();
+            return;
+        }
+
+        switch (this.state) {
+            case 'idle':
+                this.updateIdle(deltaTime, context);
+                break;
+            case 'wander':
+                this.updateWander(deltaTime, context);
+                break;
+            case 'return':
+                this.updateReturn(deltaTime, context);
+                break;
+            case 'chase':
+                this.updateChase(deltaTime, context);
+                break;
+            case 'flee':
+                this.updateFlee(deltaTime, context);
+                break;
+        }
+
+        this.updateMesh();
+    }
+
+    canSeePlayer(context) {
+        return this.paperworkCooldown === 0 &&
+            this.position.distanceTo(context.playerPosition) < this.settings.detectionRadius * context.playerVisibility;
+    }
+
+    updateIdle(deltaTime, context) {
+        if (this.canSeePlayer(context)) {
+            this.setState('chase');
+            return;
+        }
+
+        if (this.stateTime >= this.stateDuration) {
+            this.setState('wander');
+            const cooler = this.findNearestCooler(context.waterCoolers);
+            const destination = cooler || (this.navGrid && this.navGrid.randomWalkablePosition(this.random));
+            if (!destination || !this.setPathTo(destination)) {
+                this.setState('idle');
+            }
+        }
+    }
+
+    updateWander(deltaTime, context) {
+        if (this.canSeePlayer(context)) {
+            this.setState('chase');
+            return;
+        }
+
+        // Linger at the cooler once arrived, then head back to the desk
+        if (this.followPath(deltaTime, this.settings.walkSpeed)) {
+            this.lingerTime += deltaTime;
+            if (this.lingerTime >= this.settings.coolerTime) {
+                this.setState('return');
+            }
+        }
+    }
+
+    updateReturn(deltaTime, context) {
+        if (this.canSeePlayer(context)) {
+            this.setState('chase');
+            return;
+        }
+
+        if (!this.path || this.followPath(deltaTime, this.settings.walkSpeed)) {
+            this.setState('idle');
+        }
+    }
+
+    updateChase(deltaTime, context) {
+        const distance = this.position.distanceTo(context.playerPosition);
+
+        if (distance < this.settings.deliveryRadius) {
+            this.deliverPaperwork();
+            this.setState('return');
+            return;
+        }
+
+        if (distance > this.settings.giveUpRadius * context.playerVisibility) {
+            this.setState('return');
+            return;
+        }
+
+        // Player keeps moving, so replan regularly
+        this.repathTimer -= deltaTime;
+        if (this.repathTimer <= 0) {
+            this.repathTimer = this.settings.repathInterval;
+            this.setPathTo(context.playerPosition);
+        }
+
+        this.followPath(deltaTime, this.settings.chaseSpeed);
+    }
+
+    updateFlee(deltaTime, context) {
+        if (this.stateTime >= this.stateDuration) {
+            this.setState('return');
+            return;
+        }
+
+        if (!this.path || this.followPath(deltaTime, this.settings.fleeSpeed)) {
+            this.setPathTo(this.findFleeDestination());
+        }
+    }
+
+    findNearestCooler(waterCoolers) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        waterCoolers.forEach(cooler => {
+            const distance = this.position.distanceTo(cooler);
+            if (distance < nearestDistance) {
+                nearest = cooler;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    findFleeDestination() {
+        // Pick the sampled spot furthest from whatever scared us
+        let best = this.position.clone();
+        let bestDistance = this.position.distanceTo(this.threatPosition);
+
+        for (let i = 0; i < 8; i++) {
+            const candidate = this.navGrid && this.navGrid.randomWalkablePosition(this.random);
+            if (!candidate) continue;
+            const distance = candidate.distanceTo(this.threatPosition);
+            if (distance > bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    // Returns true once the end of the path has been reached
+    followPath(deltaTime, speed) {
+        if (!this.path || this.pathIndex >= this.path.length) return true;
+
+        speed = this.statusEffects.modify('moveSpeed', speed);
+
+        const waypoint = this.path[this.pathIndex];
+        const toWaypoint = new THREE.Vector3(waypoint.x - this.position.x, 0, waypoint.z - this.position.z);
+        const distance = toWaypoint.length();
+        const step = speed * deltaTime;
+
+        if (distance <= step) {
+            this.position.x = waypoint.x;
+            this.position.z = waypoint.z;
+            this.pathIndex++;
+        } else {
+            toWaypoint.multiplyScalar(step / distance);
+            this.position.add(toWaypoint);
+        }
+
+        // Face the direction of travel
+        if (distance > 0.001) {
+            this.mesh.rotation.y = Math.atan2(toWaypoint.x, toWaypoint.z);
+        }
+
+        return this.pathIndex >= this.path.length;
+    }
+
+    updateKnockback(deltaTime) {
+        if (this.knockback.lengthSq() < 0.0001) return;
+
+        const next = this.position.clone().addScaledVector(this.knockback, deltaTime);
+        if (!this.navGrid || this.navGrid.isWalkableAt(next)) {
+            this.position.copy(next);
+        }
+        this.knockback.multiplyScalar(Math.max(0, 1 - 6 * deltaTime));
+    }
+
+    deliverPaperwork() {
+        this.paperworkCooldown = this.settings.paperworkCooldown;
+
+        emit('paperworkDelivered', { npc: this });
+    }
+
+    onDocumentHit(documentType, point, damage = 0) {
+        const reaction = DOCUMENT_REACTIONS[documentType] || DOCUMENT_REACTIONS.form;
+
+        this.staggerTime = Math.max(this.staggerTime, reaction.stagger);
+
+        this.pushAwayFrom(point, reaction.knockback);
+
+        this.composure -= damage;
+        if (this.composure <= 0) {
+            emit('coworkerOverwhelmed', { npc: this, position: this.position.clone() });
+            this.flee(point, this.settings.overwhelmedFleeTime);
+        } else if (reaction.nextState === 'flee') {
+            this.flee(point, 3);
+        } else if (reaction.nextState && reaction.nextState !== this.state) {
+            this.setState(reaction.nextState);
+        }
+    }
+
+    onStamped(stampType, position) {
+        const reaction = STAMP_REACTIONS[stampType] || {};
+
+        if (reaction.knockback) {
+            this.pushAwayFrom(position, reaction.knockback);
+        }
+        if (reaction.stagger) {
+            this.staggerTime = Math.max(this.staggerTime, reaction.stagger);
+        }
+        if (reaction.effect) {
+            this.statusEffects.apply(reaction.effect);
+        }
+
+        if (reaction.fleeTime) {
+            this.flee(position, reaction.fleeTime);
+        } else if (reaction.nextState && reaction.nextState !== this.state) {
+            this.setState(reaction.nextState);
+        }
+    }
+
+    pushAwayFrom(point, strength) {
+        const away = new THREE.Vector3(this.position.x - point.x, 0, this.position.z - point.z);
+        if (away.lengthSq() > 0) {
+            this.knockback.add(away.normalize().multiplyScalar(strength * 4));
+        }
+    }
+
+    flee(fromPosition, duration) {
+        this.threatPosition.copy(fromPosition);
+        this.setState('flee', duration);
+    }
+
+    updateMesh() {
+        this.mesh.position.copy(this.position);
+        this.mesh.position.y += this.height / 2;
+        // Hits are raycast between renders and without a renderer at all
+        this.mesh.updateMatrixWorld();
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export class NPCManager {
+    constructor(scene, combat, random = Math.random) {
+        this.scene = scene;
+        this.combat = combat;
+        this.random = random;
+        this.npcs = [];
+        this.navGrid = null;
+        this.waterCoolers = [];
+        this.listeners = []; // functions removing the bus listeners
+
+        this.bindEventListeners();
+    }
+
+    bindEventListeners() {
+        // Documents thrown at a coworker
+        this.listeners.push(on('documentHit', (event) => {
+            const npc = event.detail.target.userData.npc;
+            if (npc) {
+                npc.onDocumentHit(event.detail.documentType, event.detail.point, event.detail.damage);
+            }
+        }));
+
+        // Stamps affect coworkers in the area they land on
+        this.listeners.push(on('stampUsed', (event) => {
+            const { stampType, position } = event.detail;
+            const radius = STAMP_ABILITIES[stampType].radius;
+            this.npcs.forEach(npc => {
+                if (npc.position.distanceTo(position) < radius) {
+                    npc.onStamped(stampType, position);
+                }
+            });
+        }));
+    }
+
+    setNavigation(navGrid) {
+        this.navGrid = navGrid;
+    }
+
+    spawnFromMarkers(spawnMarkers, waterCoolerMarkers) {
+        this.clear();
+
+        this.waterCoolers = waterCoolerMarkers.map(marker => marker.getWorldPosition(new THREE.Vector3()));
+
+        spawnMarkers.forEach((marker, index) => {
+            const position = marker.getWorldPosition(new THREE.Vector3());
+            if (this.navGrid) {
+                position.y = this.navGrid.floorY;
+            }
+
+            const npc = new Coworker(this.scene, this.navGrid, position, {
+                name: marker.name,
+                color: COWORKER_COLORS[index % COWORKER_COLORS.length],
+                random: this.random
+            });
+            this.npcs.push(npc);
+            this.combat.addTarget(npc.mesh);
+        });
+
+        console.log(`Spawned ${this.npcs.length} coworkers`);
+    }
+
+    clear() {
+        this.npcs.forEach(npc => {
+            this.combat.removeTarget(npc.mesh);
+            npc.dispose();
+        });
+        this.npcs = [];
+    }
+
+    dispose() {
+        this.clear();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+    }
+
+    // Visibility below 1 shrinks how far away coworkers notice the player
+    update(deltaTime, playerPosition, playerVisibility = 1) {
+        const context = { playerPosition, playerVisibility, waterCoolers: this.waterCoolers };
+        this.npcs.forEach(npc => npc.update(deltaTime, context));
+    }
+}
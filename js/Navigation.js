@@ -0,0 +1,229 @@
+// Navigation.js - Walkable grid and pathfinding over the office map
+import * as THREE from 'three';
+
+export class NavigationGrid {
+    constructor(bounds, cellSize = 0.5) {
+        this.bounds = bounds.clone();
+        this.cellSize = cellSize;
+        this.floorY = bounds.min.y;
+        this.columns = Math.max(1, Math.ceil((bounds.max.x - bounds.min.x) / cellSize));
+        this.rows = Math.max(1, Math.ceil((bounds.max.z - bounds.min.z) / cellSize));
+        this.blocked = new Uint8Array(this.columns * this.rows);
+
+        // Agent dimensions used when marking obstacles
+        this.agentHeight = 1.8;
+        this.agentRadius = 0.3;
+        this.stepHeight = 0.3;
+    }
+
+    // Build a grid from the same meshes the player collides with
+    static fromColliders(collidables, cellSize = 0.5) {
+        const bounds = new THREE.Box3();
+        const boxes = [];
+
+        collidables.forEach(object => {
+            if (!object.geometry) return;
+            const box = new THREE.Box3().setFromObject(object);
+            boxes.push(box);
+            bounds.union(box);
+        });
+
+        const grid = new NavigationGrid(bounds, cellSize);
+        // The floor surface is the top of the lowest mesh
+        if (boxes.length > 0) {
+            grid.floorY = Math.min(...boxes.map(box => box.max.y));
+        }
+        boxes.forEach(box => grid.markObstacle(box));
+        return grid;
+    }
+
+    markObstacle(box) {
+        // Flat meshes are floor, meshes entirely overhead are ceiling
+        if (box.max.y - box.min.y < this.stepHeight) return;
+        if (box.max.y <= this.floorY + this.stepHeight) return;
+        if (box.min.y >= this.floorY + this.agentHeight) return;
+
+        const min = this.worldToCell(box.min.x - this.agentRadius, box.min.z - this.agentRadius);
+        const max = this.worldToCell(box.max.x + this.agentRadius, box.max.z + this.agentRadius);
+
+        for (let row = min.row; row <= max.row; row++) {
+            for (let col = min.col; col <= max.col; col++) {
+                this.blocked[row * this.columns + col] = 1;
+            }
+        }
+    }
+
+    worldToCell(x, z) {
+        const col = Math.floor((x - this.bounds.min.x) / this.cellSize);
+        const row = Math.floor((z - this.bounds.min.z) / this.cellSize);
+        return {
+            col: Math.max(0, Math.min(this.columns - 1, col)),
+            row: Math.max(0, Math.min(this.rows - 1, row))
+        };
+    }
+
+    cellToWorld(col, row, target = new THREE.Vector3()) {
+        return target.set(
+            this.bounds.min.x + (col + 0.5) * this.cellSize,
+            this.floorY,
+            this.bounds.min.z + (row + 0.5) * this.cellSize
+        );
+    }
+
+    isWalkable(col, row) {
+        if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) return false;
+        return this.blocked[row * this.columns + col] === 0;
+    }
+
+    isWalkableAt(position) {
+        const cell = this.worldToCell(position.x, position.z);
+        return this.isWalkable(cell.col, cell.row);
+    }
+
+    findNearestWalkable(position) {
+        const start = this.worldToCell(position.x, position.z);
+        if (this.isWalkable(start.col, start.row)) return start;
+
+        // Search outwards in growing rings
+        const maxRadius = Math.max(this.columns, this.rows);
+        for (let radius = 1; radius < maxRadius; radius++) {
+            for (let row = start.row - radius; row <= start.row + radius; row++) {
+                for (let col = start.col - radius; col <= start.col + radius; col++) {
+                    const onRing = Math.abs(row - start.row) === radius || Math.abs(col - start.col) === radius;
+                    if (onRing && this.isWalkable(col, row)) {
+                        return { col, row };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    randomWalkablePosition(random = Math.random) {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const col = Math.floor(random() * this.columns);
+            const row = Math.floor(random() * this.rows);
+            if (this.isWalkable(col, row)) {
+                return this.cellToWorld(col, row);
+            }
+        }
+        return null;
+    }
+
+    // A* over the 8-connected grid, returns world space waypoints or null
+    findPath(from, to) {
+        const start = this.findNearestWalkable(from);
+        const goal = this.findNearestWalkable(to);
+        if (!start || !goal) return null;
+
+        const startIndex = start.row * this.columns + start.col;
+        const goalIndex = goal.row * this.columns + goal.col;
+        const cellCount = this.columns * this.rows;
+
+        const cameFrom = new Int32Array(cellCount).fill(-1);
+        const costSoFar = new Float32Array(cellCount).fill(Infinity);
+        const closed = new Uint8Array(cellCount);
+        const open = new MinHeap();
+
+        costSoFar[startIndex] = 0;
+        open.push(startIndex, 0);
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalIndex) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % this.columns;
+            const row = Math.floor(current / this.columns);
+
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dz === 0) continue;
+
+                    const nextCol = col + dx;
+                    const nextRow = row + dz;
+                    if (!this.isWalkable(nextCol, nextRow)) continue;
+
+                    // Don't cut corners around obstacles
+                    if (dx !== 0 && dz !== 0 &&
+                        (!this.isWalkable(col + dx, row) || !this.isWalkable(col, row + dz))) {
+                        continue;
+                    }
+
+                    const next = nextRow * this.columns + nextCol;
+                    const cost = costSoFar[current] + (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1);
+                    if (cost < costSoFar[next]) {
+                        costSoFar[next] = cost;
+                        cameFrom[next] = current;
+                        const heuristic = Math.hypot(goal.col - nextCol, goal.row - nextRow);
+                        open.push(next, cost + heuristic);
+                    }
+                }
+            }
+        }
+
+        if (startIndex !== goalIndex && cameFrom[goalIndex] === -1) return null;
+
+        const path = [];
+        for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+            path.push(this.cellToWorld(index % this.columns, Math.floor(index / this.columns)));
+            if (index === startIndex) break;
+        }
+        return path.reverse();
+    }
+}
+
+// Binary heap keyed by priority, used as the A* open list
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[index]) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
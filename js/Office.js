@@ -1,60 +1,335 @@
 // Office.js - Office environment class
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { MAPS, DEFAULT_MAP_ID } from './data/maps.js';
+import { INTERACTABLE_TYPES } from './data/interactables.js';
+import { HAZARDS } from './data/effects.js';
+import { CollisionWorld } from './Collision.js';
+import { AssetLoader } from './Assets.js';
+import { emit } from './Events.js';
 
 export class Office {
-    constructor(scene) {
+    constructor(scene, mapId = DEFAULT_MAP_ID, assets = new AssetLoader()) {
         this.scene = scene;
+        this.assets = assets;
+        this.mapId = null;
+        this.currentMap = null;
+        this.isLoading = false;
+        this.loadError = null; // { mapId, file, message } of the last map that couldn't be read
         this.objects = [];
         this.collidables = [];
+        this.encounterZones = [];
+        this.npcSpawns = [];
+        this.waterCoolers = [];
+        this.spawnPoints = {};
+        this.transitions = [];
+        this.interactables = [];
+        this.hazards = [];
+        this.collisionWorld = null;
         
-        // Load the map
-        this.loadMap();
+        // Load the map, failures are already logged by loadMap; without one
+        // the office stays empty until setMap is given a model
+        if (mapId) {
+            this.loadMap(mapId).catch(() => {});
+        }
     } 
     
-    loadMap() {
-        console.log('Loading DemoMap...');
+    loadMap(mapId) {
+        const map = MAPS[mapId];
+        if (!map) {
+            return Promise.reject(new Error(`Unknown map: ${mapId}`));
+        }
         
-        const loader = new GLTFLoader();
+        console.log(`Loading ${map.name}...`);
+        this.unloadMap();
+        this.isLoading = true;
+        this.loadError = null;
         
-        // Load the model - case sensitivity matters!
-        loader.load(
-            'map/DemoMap.glb',  // Match exact case of file name
-            (gltf) => {
-                // Success callback
+        // Downloads are retried by the asset loader, and a map that can't be
+        // fetched waits on the loading screen for the player to retry. One
+        // that arrives but can't be read ends up in loadError.
+        return this.assets.load(map.file, { type: 'model', label: map.name, required: true })
+            .then((gltf) => {
                 console.log('Map loaded successfully');
-                
-                // Add the model to the scene
-                this.currentMap = gltf.scene;
-                this.scene.add(this.currentMap);
-                
-                // Process the model to extract collidable objects
-                this.processMapColliders(this.currentMap);
-                
-                // Dispatch event that map is loaded
-                const event = new CustomEvent('mapLoaded', { detail: { mapId: 'office' } });
-                document.dispatchEvent(event);
-            },
-            (xhr) => {
-                // Progress callback
-                console.log(`Map loading: ${(xhr.loaded / xhr.total * 100).toFixed(2)}%`);
-            },
-            (error) => {
+                return this.setMap(mapId, gltf.scene);
+            })
+            .catch((error) => {
+                this.isLoading = false;
+                this.loadError = { mapId, file: map.file, message: error.message || String(error) };
                 console.error('Error loading map:', error);
+                emit('mapLoadFailed', this.loadError);
+                throw error;
+            });
+    }
+
+    // Makes a loaded model the current map; also how maps built in code are used
+    setMap(mapId, model) {
+        this.unloadMap();
+        
+        // Add the model to the scene
+        this.mapId = mapId;
+        this.currentMap = model;
+        this.scene.add(this.currentMap);
+        this.isLoading = false;
+        
+        // Process the model to extract collidable objects
+        this.processMapColliders(this.currentMap);
+        
+        // Dispatch event that map is loaded
+        emit('mapLoaded', { mapId: this.mapId });
+        return this.currentMap;
+    }
+
+    unloadMap() {
+        if (!this.currentMap) return;
+        
+        const mapId = this.mapId;
+        this.scene.remove(this.currentMap);
+        this.disposeObject(this.currentMap);
+        this.currentMap = null;
+        this.mapId = null;
+        
+        // The collidables array is shared with the player and combat, so
+        // empty it in place rather than leaving them holding old meshes
+        this.collidables.length = 0;
+        this.objects = [];
+        this.encounterZones = [];
+        this.npcSpawns = [];
+        this.waterCoolers = [];
+        this.spawnPoints = {};
+        this.transitions = [];
+        this.interactables = [];
+        this.hazards = [];
+        this.collisionWorld = null;
+        
+        emit('mapUnloaded', { mapId });
+    }
+
+    disposeObject(root) {
+        root.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
             }
-        );
+            
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (!material) return;
+                
+                // Textures hang off material properties (map, normalMap, ...)
+                for (const key in material) {
+                    if (material[key] && material[key].isTexture) {
+                        material[key].dispose();
+                    }
+                }
+                material.dispose();
+            });
+        });
     }
 
     processMapColliders(model) {
+        model.updateMatrixWorld(true);
+        
         model.traverse((child) => {
-            if (child.isMesh) {
+            // Player spawn points are empty nodes
+            if (child.name && child.name.startsWith('Spawn')) {
+                this.addSpawnPoint(child);
+                return;
+            }
+
+            // Doors and elevators lead to other maps
+            const targetMap = this.getTransitionTarget(child);
+            if (targetMap && !this.hasAncestorIn(child, this.transitions.map(transition => transition.object))) {
+                this.addTransition(child, targetMap);
+            }
+
+            // Encounter markers are trigger volumes, not solid geometry
+            if (child.name && child.name.startsWith('Encounter')) {
+                child.visible = false;
+                this.encounterZones.push(child);
+                return;
+            }
+
+            // Wet floors and spills slow down whoever walks through them
+            const hazardType = this.getHazardType(child);
+            if (hazardType) {
+                this.addHazard(child, hazardType);
+                return;
+            }
+
+            // Coworker spawn markers are only positions
+            if (child.name && child.name.startsWith('NPCSpawn')) {
+                child.visible = false;
+                this.npcSpawns.push(child);
+                return;
+            }
+
+            // Water coolers stay solid but are also wander destinations
+            if (child.name && child.name.includes('WaterCooler') && !this.hasAncestorIn(child, this.waterCoolers)) {
+                this.waterCoolers.push(child);
+            }
+
+            // Props the player can use with E
+            const interactableType = this.getInteractableType(child);
+            if (interactableType && !this.hasAncestorIn(child, this.interactables.map(interactable => interactable.object))) {
+                this.addInteractable(child, interactableType);
+            }
+
+            if (child.isMesh && !this.isInsideMarker(child)) {
                 // Add all meshes as collidable objects
                 this.collidables.push(child);
             }
         });
+        
+        // Precompute the triangle octree once, per-frame queries only walk it
+        this.rebuildCollisionWorld();
+    }
+
+    // Also needed when solid props move, like a door swinging open
+    rebuildCollisionWorld() {
+        this.collisionWorld = CollisionWorld.fromMeshes(this.collidables);
+        console.log(`Collision octree built from ${this.collisionWorld.triangleCount} triangles`);
+        return this.collisionWorld;
+    }
+
+    addSpawnPoint(node) {
+        const quaternion = node.getWorldQuaternion(new THREE.Quaternion());
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+        
+        this.spawnPoints[node.name] = {
+            position: node.getWorldPosition(new THREE.Vector3()),
+            yaw: euler.y
+        };
+    }
+
+    getTransitionTarget(node) {
+        if (node.userData.targetMap) return node.userData.targetMap;
+        
+        const match = node.name && node.name.match(/^(Door|Elevator)_([A-Za-z0-9]+)/);
+        return match && MAPS[match[2]] ? match[2] : null;
+    }
+
+    addTransition(node, targetMap) {
+        // Trigger when the player walks up to the door or into the elevator
+        const box = new THREE.Box3().setFromObject(node).expandByScalar(0.75);
+        this.transitions.push({
+            object: node,
+            box,
+            targetMap,
+            targetSpawn: node.userData.targetSpawn || `Spawn_${this.mapId}`
+        });
+    }
+
+    getInteractableType(node) {
+        if (node.userData.interactable) return node.userData.interactable;
+        if (!node.name) return null;
+        
+        return Object.keys(INTERACTABLE_TYPES).find(type => INTERACTABLE_TYPES[type].pattern.test(node.name)) || null;
+    }
+
+    addInteractable(node, type) {
+        // Doors that lead somewhere say where
+        const targetMap = this.getTransitionTarget(node);
+        const defaultPrompt = INTERACTABLE_TYPES[type] ? INTERACTABLE_TYPES[type].prompt : 'interact';
+        const prompt = node.userData.prompt || (targetMap ? `go to ${MAPS[targetMap].name}` : defaultPrompt);
+        
+        // Handlers change the prompt and state, the initial prompt is kept for resetting
+        this.interactables.push({
+            object: node,
+            type,
+            prompt,
+            initialPrompt: prompt,
+            state: {}
+        });
+    }
+
+    findInteractable(object) {
+        // Hits report the leaf mesh, walk up to the tagged node
+        while (object) {
+            const interactable = this.interactables.find(candidate => candidate.object === object);
+            if (interactable) return interactable;
+            object = object.parent;
+        }
+        return null;
+    }
+
+    findTransitionFor(object) {
+        return this.transitions.find(transition => transition.object === object) || null;
+    }
+
+    getSpawnPoint(name) {
+        // Fall back to the map's default spawn, then to the origin
+        return this.spawnPoints[name] ||
+            this.spawnPoints.Spawn ||
+            Object.values(this.spawnPoints)[0] ||
+            { position: new THREE.Vector3(), yaw: 0 };
+    }
+
+    findTransitionAt(position) {
+        return this.transitions.find(transition => transition.box.containsPoint(position)) || null;
+    }
+
+    hasAncestorIn(object, list) {
+        let parent = object.parent;
+        while (parent) {
+            if (list.includes(parent)) return true;
+            parent = parent.parent;
+        }
+        return false;
+    }
+
+    isInsideMarker(object) {
+        // Meshes parented to a marker node belong to the marker, not the level
+        return this.hasAncestorIn(object, this.encounterZones) ||
+            this.hasAncestorIn(object, this.npcSpawns) ||
+            this.hasAncestorIn(object, this.hazards.map(hazard => hazard.object));
+    }
+
+    getHazardType(node) {
+        if (!node.name) return null;
+        return Object.keys(HAZARDS).find(type => HAZARDS[type].pattern.test(node.name)) || null;
+    }
+
+    addHazard(node, type) {
+        const hazard = HAZARDS[type];
+        const box = new THREE.Box3().setFromObject(node);
+        if (box.isEmpty()) {
+            box.setFromCenterAndSize(node.getWorldPosition(new THREE.Vector3()), new THREE.Vector3(1, 0, 1));
+        }
+        // Spills are flat, give the volume some height so feet are inside it
+        box.expandByScalar(hazard.margin);
+        box.max.y += 0.5;
+        
+        this.hazards.push({ object: node, type, effect: hazard.effect, box });
+    }
+
+    findHazardsAt(position) {
+        return this.hazards.filter(hazard => hazard.box.containsPoint(position));
     }
 
     getCollidableObjects() {
         return this.collidables;
     }
+
+    getCollisionWorld() {
+        return this.collisionWorld;
+    }
+
+    getEncounterZones() {
+        return this.encounterZones;
+    }
+
+    getNPCSpawns() {
+        return this.npcSpawns;
+    }
+
+    getWaterCoolers() {
+        return this.waterCoolers;
+    }
+
+    getInteractables() {
+        return this.interactables;
+    }
+
+    getHazards() {
+        return this.hazards;
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,55 @@
+// Paperwork.js - Generated paperwork forms for challenges
+import { PAPERWORK_TIERS, FIELD_TEMPLATES, PAPERWORK_SETTINGS } from './data/paperwork.js';
+
+export class PaperworkForm {
+    constructor(tier, fieldCount, random = Math.random) {
+        this.tier = tier;
+        this.fields = [];
+
+        const stamps = (PAPERWORK_TIERS[tier] || PAPERWORK_TIERS['Basic Form']).stamps;
+        const count = Math.max(1, Math.min(PAPERWORK_SETTINGS.maxFields, fieldCount));
+        const usedLabels = new Set();
+
+        for (let i = 0; i < count; i++) {
+            const requiredStamp = stamps[Math.floor(random() * stamps.length)];
+            const templates = FIELD_TEMPLATES[requiredStamp];
+
+            // Prefer wording not already on the form
+            const unused = templates.filter(label => !usedLabels.has(label));
+            const pool = unused.length > 0 ? unused : templates;
+            const label = pool[Math.floor(random() * pool.length)];
+            usedLabels.add(label);
+
+            this.fields.push({ label, requiredStamp, stamp: null });
+        }
+    }
+
+    stamp(index, stampType) {
+        const field = this.fields[index];
+        if (!field) return false;
+
+        // Restamping a field replaces the earlier stamp
+        field.stamp = stampType;
+        return true;
+    }
+
+    isComplete() {
+        return this.fields.every(field => field.stamp !== null);
+    }
+
+    toJSON() {
+        return { tier: this.tier, fields: this.fields.map(field => ({ ...field })) };
+    }
+
+    static fromJSON(data) {
+        const form = new PaperworkForm(data.tier, 0);
+        form.fields = data.fields.map(field => ({ ...field }));
+        return form;
+    }
+
+    // Fraction of fields carrying the right stamp
+    grade() {
+        const correct = this.fields.filter(field => field.stamp === field.requiredStamp).length;
+        return correct / this.fields.length;
+    }
+}
@@ -1,22 +1,49 @@
 // Player.js - Player character class
 import * as THREE from 'three';
-import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { Capsule } from 'three/addons/math/Capsule.js';
+import { CareerStats } from './Career.js';
+import { Inventory } from './Inventory.js';
+import { StatusEffects } from './StatusEffects.js';
+import { CONSUMABLES } from './data/inventory.js';
+import { emit } from './Events.js';
 
 export class Player {
-    constructor(scene) {
+    constructor(scene, input) {
         this.scene = scene;
+        this.input = input;
         
-        // Physics properties
-        this.moveSpeed = 0.05;
+        // Physics properties, in metres and seconds
+        this.moveSpeed = 3; // m/s
         this.runSpeedMultiplier = 1.5;
-        this.jumpStrength = 0.35;
-        this.gravity = 0.01;
+        this.jumpStrength = 6; // m/s upwards
+        this.gravity = 20; // m/s²
+        this.groundAcceleration = 30; // m/s²
+        this.groundFriction = 25; // m/s², slows the player when there is no input
+        this.airAcceleration = 8; // m/s², limited air control while jumping
         this.velocity = new THREE.Vector3();
         this.isOnGround = true;
         this.collisionRadius = 0.2;
         this.height = 1.8;
         this.eyeHeight = 0.8;
-        this.collidableObjects = [];
+        this.stepHeight = 0.3;
+        this.maxSlopeAngle = 45; // degrees
+        this.minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(this.maxSlopeAngle));
+        this.down = new THREE.Vector3(0, -1, 0);
+        
+        // Debug free flight through walls, toggled from the F3 overlay
+        this.noclip = false;
+        this.noclipSpeed = 8; // m/s
+        
+        // Downward rays cast during the last step, drawn by the F3 overlay
+        this.groundProbes = [];
+        
+        // Collision against the map's triangle octree
+        this.collisionWorld = null;
+        this.capsule = new Capsule(new THREE.Vector3(), new THREE.Vector3(), this.collisionRadius);
+        
+        // Simulated eye position, the camera is interpolated between steps
+        this.position = new THREE.Vector3(0, this.eyeHeight, 0);
+        this.previousPosition = this.position.clone();
         
         // Movement state
         this.moveDirection = new THREE.Vector3();
@@ -24,6 +51,24 @@ export class Player {
         this.isRunning = false;
         this.isJumping = false;
         
+        // Footsteps fire every stride travelled on the ground
+        this.strideLength = 0.8; // metres walking
+        this.runStrideLength = 1.1; // metres running
+        this.strideDistance = 0;
+        
+        // Career progression (rank, influence, stamina)
+        this.career = new CareerStats();
+        this.career.addEventListener('promoted', (event) => emit('playerPromoted', event.detail));
+        this.career.addEventListener('demoted', (event) => emit('playerDemoted', event.detail));
+        this.career.addEventListener('fired', (event) => emit('playerFired', event.detail));
+        
+        // Document ammunition, stamp ink and consumables
+        this.inventory = new Inventory();
+        this.selectedConsumable = Object.keys(CONSUMABLES)[0];
+        
+        // Timed buffs and debuffs, modifying movement, combat and stamina
+        this.statusEffects = new StatusEffects();
+        
         // Create player model
         this.geometry = new THREE.CapsuleGeometry(0.35, 1.0, 4, 8);
         this.material = new THREE.MeshStandardMaterial({ 
@@ -34,108 +79,287 @@ export class Player {
         
         // Create mesh and position it
         this.mesh = new THREE.Mesh(this.geometry, this.material);
-        this.mesh.position.y = this.height / 2;
+        this.meshCenterHeight = 0.85; // capsule radius + half its length, stands it on the feet
+        this.mesh.position.y = this.meshCenterHeight;
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         this.scene.add(this.mesh);
+        
+        // Visor marks the front of the capsule in third person
+        this.visor = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 0.12, 0.15),
+            new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.8, roughness: 0.2 })
+        );
+        this.visor.position.set(0, 0.45, 0.3);
+        this.mesh.add(this.visor);
 
-        // Camera setup
+        // Camera setup, the game matches the aspect to the window
         this.camera = new THREE.PerspectiveCamera(
             75, 
-            window.innerWidth / window.innerHeight, 
+            1, 
             0.1, 
             1000
         );
+        this.scene.add(this.camera);
         
-        // Initialize pointer lock controls
-        this.controls = new PointerLockControls(this.camera, document.body);
-        this.controls.getObject().position.set(0, this.eyeHeight, 0);
-        this.scene.add(this.controls.getObject());
+        // The mouse (through the game's pointer lock) and look() turn the head;
+        // the camera follows it in first person or orbits behind it in third person
+        this.head = new THREE.Object3D();
+        this.head.position.copy(this.position);
+        this.lookSensitivity = 1; // same scale as PointerLockControls.pointerSpeed
+        this.minPolarAngle = 0; // radians, straight up
+        this.maxPolarAngle = Math.PI; // radians, straight down
         
-        // Bind keyboard controls
-        this.bindControls();
+        // View mode: 0 is first person, 1 is third person, blended in between
+        this.viewMode = 'first';
+        this.viewBlend = 0;
+        this.viewBlendSpeed = 4; // per second
+        this.thirdPersonOffset = new THREE.Vector3(0.5, 0.4, 3); // over the right shoulder
+        this.cameraCollisionMargin = 0.2;
+        this.cameraDistance = 0; // current pulled-in fraction of the offset
+        this.turnSpeed = 10; // radians per second the body turns to face movement
         
         console.log('Player initialized');
     }
 
-    bindControls() {
-        document.addEventListener('keydown', (event) => {
-            switch (event.code) {
-                case 'KeyW':
-                    this.moveDirection.z = -1;
-                    this.isMoving = true;
-                    break;
-                case 'KeyS':
-                    this.moveDirection.z = 1;
-                    this.isMoving = true;
-                    break;
-                case 'KeyA':
-                    this.moveDirection.x = -1;
-                    this.isMoving = true;
-                    break;
-                case 'KeyD':
-                    this.moveDirection.x = 1;
-                    this.isMoving = true;
-                    break;
-                case 'Space':
-                    if (this.isOnGround) {
-                        this.velocity.y = this.jumpStrength;
-                        this.isOnGround = false;
-                        this.isJumping = true;
-                    }
-                    break;
-                case 'ShiftLeft':
-                    this.isRunning = true;
-                    break;
-            }
-        });
+    // Career stats are exposed directly for the combat and challenge code
+    get bureaucracyLevel() {
+        return this.career.bureaucracyLevel;
+    }
 
-        document.addEventListener('keyup', (event) => {
-            switch (event.code) {
-                case 'KeyW':
-                    if (this.moveDirection.z < 0) this.moveDirection.z = 0;
-                    break;
-                case 'KeyS':
-                    if (this.moveDirection.z > 0) this.moveDirection.z = 0;
-                    break;
-                case 'KeyA':
-                    if (this.moveDirection.x < 0) this.moveDirection.x = 0;
-                    break;
-                case 'KeyD':
-                    if (this.moveDirection.x > 0) this.moveDirection.x = 0;
-                    break;
-                case 'ShiftLeft':
-                    this.isRunning = false;
-                    break;
-            }
-            
-            // Check if player is still moving
-            this.isMoving = this.moveDirection.x !== 0 || this.moveDirection.z !== 0;
-        });
+    set bureaucracyLevel(value) {
+        this.career.setBureaucracyLevel(value);
+    }
+
+    get influence() {
+        return this.career.influence;
+    }
+
+    set influence(value) {
+        this.career.setInfluence(value);
+    }
+
+    get bureaucraticStamina() {
+        return this.career.stamina;
+    }
+
+    set bureaucraticStamina(value) {
+        this.career.setStamina(value);
+    }
+
+    get careerRank() {
+        return this.career.rank;
+    }
+
+    // Jump and view changes come from the simulation's actions, walking and
+    // running are read from the held actions every step
+    jump() {
+        if (!this.isOnGround) return false;
+        
+        this.velocity.y = this.jumpStrength;
+        this.isOnGround = false;
+        this.isJumping = true;
+        return true;
+    }
+
+    // Turns the view the way mouse movement does, for the gamepad's right stick
+    look(yaw, pitch) {
+        if (yaw === 0 && pitch === 0) return;
+        
+        const speed = this.lookSensitivity;
+        const euler = new THREE.Euler().setFromQuaternion(this.head.quaternion, 'YXZ');
+        euler.y -= yaw * speed;
+        euler.x = THREE.MathUtils.clamp(
+            euler.x - pitch * speed,
+            Math.PI / 2 - this.maxPolarAngle,
+            Math.PI / 2 - this.minPolarAngle
+        );
+        this.head.quaternion.setFromEuler(euler);
+    }
+
+    // Steps through the consumables currently held
+    cycleConsumable(step = 1) {
+        const held = Object.keys(CONSUMABLES).filter(name => this.inventory.has('consumables', name));
+        if (held.length === 0) return null;
+        
+        const index = held.indexOf(this.selectedConsumable);
+        this.selectedConsumable = held[(index + step + held.length) % held.length];
+        emit('consumableSelected', { item: this.selectedConsumable });
+        return this.selectedConsumable;
     }
 
+    // Uses the selected consumable, or the first one held in data/inventory.js order
+    useConsumable() {
+        const item = this.inventory.has('consumables', this.selectedConsumable)
+            ? this.selectedConsumable
+            : Object.keys(CONSUMABLES).find(name => this.inventory.has('consumables', name));
+        if (!item) return false;
+        
+        const consumable = CONSUMABLES[item];
+        this.inventory.remove('consumables', item);
+        if (consumable.stamina) {
+            this.career.setStamina(this.career.stamina + consumable.stamina);
+        }
+        if (consumable.effect) {
+            this.statusEffects.apply(consumable.effect);
+        }
+        emit('consumableUsed', { item, stamina: consumable.stamina || 0, effect: consumable.effect || null });
+        return true;
+    }
+
+    // Runs at the game's fixed simulation rate
     update(deltaTime) {
-        if (!this.controls.isLocked) return;
+        this.previousPosition.copy(this.position);
+        this.groundProbes.length = 0;
 
-        // Update movement
-        this.updateMovement(deltaTime);
+        // Movement actions and the left stick, shorter than 1 when the stick is part way
+        this.input.getMoveVector(this.moveDirection);
+        this.isMoving = this.moveDirection.lengthSq() > 0;
+        this.isRunning = this.input.isDown('run');
+
+        // Effects run out first so expired buffs don't count this step
+        this.statusEffects.update(deltaTime);
         
-        // Update physics
+        // Regenerate stamina
+        this.career.update(deltaTime, this.statusEffects.modify('staminaRegen', this.career.settings.staminaRegenRate));
+
+        if (this.noclip) {
+            this.updateNoclip(deltaTime);
+            return;
+        }
+
+        this.move(deltaTime);
+        this.updateFootsteps();
+    }
+
+    // Walking, jumping and falling for one step from moveDirection and
+    // isRunning; multiplayer prediction replays these steps on their own
+    move(deltaTime) {
+        this.updateMovement(deltaTime);
         this.updatePhysics(deltaTime);
-        
-        // Update player mesh position
+    }
+
+    // Fly where the camera looks, ignoring gravity and collision
+    updateNoclip(deltaTime) {
+        const speed = this.isRunning ? this.noclipSpeed * 2 : this.noclipSpeed;
+        this.velocity.copy(this.moveDirection).applyQuaternion(this.head.quaternion).multiplyScalar(speed);
+        this.position.addScaledVector(this.velocity, deltaTime);
+        this.isOnGround = false;
+    }
+
+    setNoclip(enabled) {
+        this.noclip = enabled;
+        this.velocity.set(0, 0, 0);
+        this.isOnGround = false;
+    }
+
+    updateFootsteps() {
+        if (!this.isOnGround) {
+            this.strideDistance = 0;
+            return;
+        }
+
+        const dx = this.position.x - this.previousPosition.x;
+        const dz = this.position.z - this.previousPosition.z;
+        this.strideDistance += Math.sqrt(dx * dx + dz * dz);
+
+        const stride = this.isRunning ? this.runStrideLength : this.strideLength;
+        if (this.strideDistance >= stride) {
+            this.strideDistance -= stride;
+            emit('footstep', { position: this.getFeetPosition(), running: this.isRunning });
+        }
+    }
+
+    // Blend the last two simulation steps for smooth rendering
+    interpolate(alpha) {
+        this.head.position.lerpVectors(this.previousPosition, this.position, alpha);
         this.updateMesh();
     }
 
+    toggleViewMode() {
+        this.viewMode = this.viewMode === 'first' ? 'third' : 'first';
+        console.log('View mode:', this.viewMode);
+    }
+
+    // Called every rendered frame after interpolate
+    updateCamera(deltaTime) {
+        // Ease between first and third person
+        const targetBlend = this.viewMode === 'third' ? 1 : 0;
+        const blendStep = this.viewBlendSpeed * deltaTime;
+        this.viewBlend += THREE.MathUtils.clamp(targetBlend - this.viewBlend, -blendStep, blendStep);
+        const blend = THREE.MathUtils.smoothstep(this.viewBlend, 0, 1);
+        
+        this.visor.visible = this.viewBlend > 0.3;
+        this.updateBodyRotation(deltaTime);
+        
+        const pivot = this.head.position;
+        this.camera.quaternion.copy(this.head.quaternion);
+        
+        if (blend === 0) {
+            this.camera.position.copy(pivot);
+            this.cameraDistance = 0;
+            return;
+        }
+        
+        // Desired orbit position behind the player
+        const offset = this.thirdPersonOffset.clone().applyQuaternion(this.head.quaternion);
+        const offsetLength = offset.length();
+        const direction = offset.clone().divideScalar(offsetLength);
+        
+        // Pull in in front of any wall between the player and the camera
+        let allowed = 1;
+        if (this.collisionWorld) {
+            const hit = this.collisionWorld.raycast(pivot, direction, offsetLength + this.cameraCollisionMargin);
+            if (hit) {
+                allowed = Math.max(0, (hit.distance - this.cameraCollisionMargin) / offsetLength);
+            }
+        }
+        
+        // Snap in immediately to avoid clipping, ease back out
+        const wanted = allowed * blend;
+        if (wanted < this.cameraDistance) {
+            this.cameraDistance = wanted;
+        } else {
+            this.cameraDistance += (wanted - this.cameraDistance) * Math.min(1, 5 * deltaTime);
+        }
+        
+        this.camera.position.copy(pivot).addScaledVector(offset, this.cameraDistance);
+    }
+
+    updateBodyRotation(deltaTime) {
+        // Face the direction of travel, or the view direction when standing
+        let targetYaw;
+        if (this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z > 0.01) {
+            targetYaw = Math.atan2(this.velocity.x, this.velocity.z);
+        } else if (this.viewMode === 'first') {
+            targetYaw = this.getViewYaw();
+        } else {
+            return;
+        }
+        
+        // Turn the short way round
+        let difference = targetYaw - this.mesh.rotation.y;
+        difference = Math.atan2(Math.sin(difference), Math.cos(difference));
+        const maxTurn = this.turnSpeed * deltaTime;
+        this.mesh.rotation.y += THREE.MathUtils.clamp(difference, -maxTurn, maxTurn);
+    }
+
+    getViewYaw() {
+        const euler = new THREE.Euler().setFromQuaternion(this.head.quaternion, 'YXZ');
+        return euler.y + Math.PI; // the view looks down -z, the mesh faces +z
+    }
+
     updateMovement(deltaTime) {
-        const speed = this.isRunning ? this.moveSpeed * this.runSpeedMultiplier : this.moveSpeed;
+        const moveSpeed = this.statusEffects.modify('moveSpeed', this.moveSpeed);
+        const speed = this.isRunning ? moveSpeed * this.runSpeedMultiplier : moveSpeed;
         
         // Calculate movement direction
         const moveDirection = new THREE.Vector3();
         moveDirection.copy(this.moveDirection);
+        const amount = moveDirection.length(); // analog stick tilt
         
-        // Apply camera rotation to movement direction
-        moveDirection.applyQuaternion(this.camera.quaternion);
+        // Apply view rotation to movement direction
+        moveDirection.applyQuaternion(this.head.quaternion);
         moveDirection.y = 0; // Keep movement horizontal
         
         // Normalize movement direction
@@ -143,81 +367,228 @@ export class Player {
             moveDirection.normalize();
         }
         
-        // Calculate new position
-        const newPosition = this.controls.getObject().position.clone();
-        newPosition.add(moveDirection.multiplyScalar(speed));
+        // Accelerate towards the wanted velocity; friction only on the ground
+        const targetVelocity = moveDirection.multiplyScalar(speed * amount);
+        let acceleration;
+        if (!this.isOnGround) {
+            acceleration = this.isMoving ? this.airAcceleration : 0;
+        } else {
+            // Slippery floors cut traction, both to speed up and to stop
+            acceleration = this.isMoving ? this.groundAcceleration : this.groundFriction;
+            acceleration = this.statusEffects.modify('traction', acceleration);
+        }
+        
+        const horizontal = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
+        const change = targetVelocity.sub(horizontal);
+        const maxChange = acceleration * deltaTime;
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        this.velocity.x += change.x;
+        this.velocity.z += change.z;
         
         // Handle collisions
-        this.handleHorizontalMovement(newPosition);
+        const step = new THREE.Vector3(this.velocity.x, 0, this.velocity.z).multiplyScalar(deltaTime);
+        this.handleHorizontalMovement(step);
     }
 
     updatePhysics(deltaTime) {
-        // Apply gravity
-        if (!this.isOnGround) {
-            this.velocity.y -= this.gravity;
-        }
+        // Apply gravity, ground contact cancels it again every step
+        this.velocity.y -= this.gravity * deltaTime;
         
         // Update vertical position
-        const newPosition = this.controls.getObject().position.clone();
-        newPosition.y += this.velocity.y;
+        const feet = this.getFeetPosition();
+        feet.y += this.velocity.y * deltaTime;
         
         // Check ground collision
-        this.checkGroundCollision(newPosition);
+        this.checkGroundCollision(feet);
+    }
+
+    getFeetPosition(target = new THREE.Vector3()) {
+        return target.copy(this.position).setY(this.position.y - this.eyeHeight);
+    }
+
+    setFeetPosition(feet) {
+        this.position.set(feet.x, feet.y + this.eyeHeight, feet.z);
     }
 
-    handleHorizontalMovement(newPosition) {
-        // Check for collisions
-        if (!this.checkCollision(newPosition)) {
-            this.controls.getObject().position.copy(newPosition);
+    handleHorizontalMovement(step) {
+        if (step.lengthSq() === 0) return;
+        
+        const start = this.getFeetPosition();
+        const target = start.clone().add(step);
+        
+        if (!this.collisionWorld) {
+            this.setFeetPosition(target);
+            return;
+        }
+        
+        // Push out of walls along their normal, which slides along them
+        const result = this.checkCollision(target);
+        
+        // Blocked by something low enough to climb onto
+        if (result.hitWall && this.isOnGround) {
+            const stepped = this.tryStepUp(start, step);
+            if (stepped) {
+                this.setFeetPosition(stepped);
+                return;
+            }
+        }
+        
+        // Lose the momentum that went into the wall
+        if (result.hitWall) {
+            const push = result.position.clone().sub(target).setY(0);
+            if (push.lengthSq() > 0) {
+                push.normalize();
+                const into = this.velocity.x * push.x + this.velocity.z * push.z;
+                if (into < 0) {
+                    this.velocity.x -= push.x * into;
+                    this.velocity.z -= push.z * into;
+                }
+            }
         }
+        
+        this.setFeetPosition(result.position);
     }
 
-    checkGroundCollision(newPosition) {
-        // Cast ray downward to check for ground
-        const raycaster = new THREE.Raycaster(
-            newPosition.clone().add(new THREE.Vector3(0, 0.1, 0)),
-            new THREE.Vector3(0, -1, 0),
-            0.1,
-            2
-        );
+    tryStepUp(start, step) {
+        // Look for a flat top just ahead of the capsule, within step height
+        const direction = step.clone().normalize();
+        const probe = start.clone().addScaledVector(direction, this.collisionRadius + step.length());
+        probe.y += this.stepHeight + 0.01;
+        
+        const ground = this.probeGround(probe, this.stepHeight + 0.05);
+        if (!ground || ground.normal.y < this.minGroundNormalY) return null;
+        
+        const rise = ground.point.y - start.y;
+        if (rise <= 0.01 || rise > this.stepHeight) return null;
+        
+        // Move onto the step far enough that the feet are over it
+        const raised = start.clone().add(step).addScaledVector(direction, this.collisionRadius);
+        raised.y = ground.point.y;
+        
+        const result = this.checkCollision(raised);
+        return result.hitWall ? null : result.position;
+    }
+
+    checkGroundCollision(feet) {
+        if (!this.collisionWorld) {
+            // No map yet, nothing to stand on
+            this.isOnGround = false;
+            this.setFeetPosition(feet);
+            return;
+        }
+        
+        const wasOnGround = this.isOnGround;
+        const result = this.checkCollision(feet);
         
-        const intersects = raycaster.intersectObjects(this.collidableObjects);
+        // Walking down steps and slopes keeps the player glued to the floor
+        if (!result.onGround && wasOnGround && this.velocity.y <= 0) {
+            const origin = result.position.clone();
+            origin.y += 0.01;
+            const ground = this.probeGround(origin, this.stepHeight + 0.05);
+            if (ground && ground.normal.y >= this.minGroundNormalY) {
+                result.position.y = ground.point.y;
+                result.onGround = true;
+            }
+        }
         
-        if (intersects.length > 0) {
+        if (result.hitCeiling && this.velocity.y > 0) {
+            this.velocity.y = 0;
+        }
+        
+        if (result.onGround && this.velocity.y <= 0) {
             // Ground found
             this.isOnGround = true;
             this.isJumping = false;
             this.velocity.y = 0;
-            this.controls.getObject().position.y = intersects[0].point.y + this.eyeHeight;
         } else {
             // No ground found
             this.isOnGround = false;
-            this.controls.getObject().position.copy(newPosition);
         }
+        
+        this.setFeetPosition(result.position);
     }
 
-    checkCollision(position) {
-        // Check for collisions with all collidable objects
-        for (const object of this.collidableObjects) {
-            if (!object.geometry) continue;
-            
-            const bbox = new THREE.Box3().setFromObject(object);
-            const playerPos = position.clone();
-            
-            // Expand bbox by player radius
-            bbox.expandByScalar(this.collisionRadius);
+    probeGround(origin, far) {
+        const hit = this.collisionWorld.raycast(origin, this.down, far);
+        this.groundProbes.push({ origin: origin.clone(), far, hit });
+        return hit;
+    }
+
+    checkCollision(feet) {
+        const position = feet.clone();
+        const result = { position, onGround: false, hitWall: false, hitCeiling: false };
+        
+        // Resolve against the triangle octree a few times for corners
+        for (let i = 0; i < 4; i++) {
+            this.updateCapsule(position);
+            const contact = this.collisionWorld.capsuleIntersect(this.capsule);
+            if (!contact) break;
             
-            if (bbox.containsPoint(playerPos)) {
-                return true;
+            if (contact.normal.y >= this.minGroundNormalY) {
+                // Walkable ground: lift straight up so slopes don't slide
+                result.onGround = true;
+                position.y += contact.depth / contact.normal.y;
+            } else {
+                // Walls, too-steep slopes and ceilings push along their normal
+                if (contact.normal.y < -0.5) {
+                    result.hitCeiling = true;
+                } else {
+                    result.hitWall = true;
+                }
+                position.addScaledVector(contact.normal, contact.depth);
             }
         }
         
-        return false;
+        return result;
+    }
+
+    updateCapsule(feet) {
+        this.capsule.start.set(feet.x, feet.y + this.collisionRadius, feet.z);
+        this.capsule.end.set(feet.x, feet.y + this.height - this.collisionRadius, feet.z);
+    }
+
+    // Move without interpolating from the old position
+    snapToPosition() {
+        this.previousPosition.copy(this.position);
+        this.head.position.copy(this.position);
+        this.updateMesh();
+    }
+
+    teleport(position, yaw = 0) {
+        this.setFeetPosition(position);
+        this.head.rotation.set(0, yaw, 0, 'YXZ');
+        
+        this.velocity.set(0, 0, 0);
+        this.isOnGround = false;
+        this.snapToPosition();
+    }
+
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            quaternion: this.head.quaternion.toArray(),
+            velocity: this.velocity.toArray(),
+            viewMode: this.viewMode
+        };
+    }
+
+    deserialize(data) {
+        this.position.fromArray(data.position);
+        this.head.quaternion.fromArray(data.quaternion);
+        this.velocity.fromArray(data.velocity);
+        this.isOnGround = false;
+        this.strideDistance = 0;
+        this.viewMode = data.viewMode;
+        this.viewBlend = this.viewMode === 'third' ? 1 : 0;
+        this.cameraDistance = 0;
+        this.snapToPosition();
     }
 
     updateMesh() {
-        // Update player mesh position to match camera
-        this.mesh.position.copy(this.controls.getObject().position);
-        this.mesh.position.y -= this.eyeHeight;
+        // Update player mesh position to match the rendered head
+        this.mesh.position.copy(this.head.position);
+        this.mesh.position.y += this.meshCenterHeight - this.eyeHeight;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,38 @@
+// Pool.js - Reuses short-lived scene objects instead of reallocating them
+
+export class ObjectPool {
+    // create() makes a new object, reset(object, ...args) prepares one for reuse
+    constructor(create, reset = null) {
+        this.create = create;
+        this.reset = reset;
+        this.free = [];
+        this.inUse = 0;
+        this.created = 0;
+    }
+
+    acquire(...args) {
+        let object = this.free.pop();
+        if (!object) {
+            object = this.create();
+            this.created++;
+        }
+
+        this.inUse++;
+        if (this.reset) {
+            this.reset(object, ...args);
+        }
+        return object;
+    }
+
+    release(object) {
+        this.inUse--;
+        this.free.push(object);
+    }
+
+    // Frees GPU resources held by pooled objects that aren't in use
+    dispose(disposeObject) {
+        this.free.forEach(disposeObject);
+        this.created -= this.free.length;
+        this.free = [];
+    }
+}
@@ -0,0 +1,30 @@
+// Random.js - Seeded random numbers, so a run can be repeated exactly
+
+// Returns a drop-in for Math.random (mulberry32). The same seed gives the same
+// sequence, and getState/setState let a run be picked up part way through.
+export function createRandom(seed = Date.now()) {
+    let state = seed >>> 0;
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = seed >>> 0;
+    random.getState = () => state;
+    random.setState = (value) => {
+        state = value >>> 0;
+    };
+    return random;
+}
+
+// FNV-1a over a string, a cheap fingerprint for comparing simulation state
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,70 @@
+// Reactions.js - Plays sounds, effects and HUD messages for game events
+import { on } from './Events.js';
+import { EVENT_REACTIONS } from './data/reactions.js';
+
+// Reads 'challenge.type' style paths out of an event detail
+function getField(detail, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), detail);
+}
+
+export class EventReactions {
+    constructor(audio, hud, reactions = EVENT_REACTIONS) {
+        this.audio = audio;
+        this.hud = hud;
+        this.effects = {};
+        this.enabled = true; // off while a replay skips ahead
+
+        this.unsubscribers = Object.keys(reactions).map(name =>
+            on(name, (event) => this.react(reactions[name], event.detail))
+        );
+    }
+
+    // Effects are code, the reaction data refers to them by name
+    registerEffect(name, handler) {
+        this.effects[name] = handler;
+    }
+
+    matches(when, detail) {
+        if (!when) return true;
+        return Object.keys(when).every(key => getField(detail, key) === when[key]);
+    }
+
+    react(reactions, detail) {
+        if (!this.enabled) return;
+
+        reactions.forEach(reaction => {
+            if (!this.matches(reaction.when, detail)) return;
+
+            if (reaction.sound) {
+                const position = reaction.at ? getField(detail, reaction.at) : undefined;
+                this.audio.playSound(reaction.sound, { position, volume: reaction.volume });
+            }
+
+            if (reaction.duckMusic !== undefined) {
+                this.audio.duckMusic(reaction.duckMusic);
+            }
+
+            if (reaction.effect) {
+                const effect = this.effects[reaction.effect];
+                if (effect) {
+                    effect(detail);
+                } else {
+                    console.warn(`Unknown effect in event reactions: ${reaction.effect}`);
+                }
+            }
+
+            if (reaction.message) {
+                const message = reaction.message.replace(/\{([\w.]+)\}/g, (match, path) => {
+                    const value = getField(detail, path);
+                    return value === undefined ? match : value;
+                });
+                this.hud.showToast(message, reaction.style);
+            }
+        });
+    }
+
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
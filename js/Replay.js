@@ -0,0 +1,255 @@
+// Replay.js - Records the inputs of a session and plays them back exactly
+import { ScriptedInput } from './ScriptedInput.js';
+import { emit } from './Events.js';
+import { REPLAY_VERSION, REPLAY_SETTINGS } from './data/replay.js';
+
+function sameValues(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+// Fed by the simulation: every performed action, and the player's input and
+// view at the start of every frame. Together with the seed, the map and the
+// save data at the start, that is enough to run the session again.
+export class ReplayRecorder {
+    constructor(simulation, settings = REPLAY_SETTINGS) {
+        this.simulation = simulation;
+        this.settings = settings;
+        this.header = {
+            mapId: simulation.office.mapId,
+            seed: simulation.seed,
+            randomState: simulation.random.getState(),
+            time: simulation.time,
+            snapshot: simulation.saves.serialize(),
+            recordedAt: new Date().toISOString()
+        };
+        this.frames = [];
+        this.actions = []; // performed since the last frame
+        this.duration = 0;
+
+        // Values last written, a frame only holds what changed
+        this.last = { d: null, q: [], h: [], m: [0, 0], l: [0, 0] };
+    }
+
+    recordAction(action) {
+        this.actions.push(action);
+    }
+
+    recordFrame(deltaTime) {
+        const player = this.simulation.player;
+        const input = player.input;
+        const frame = {};
+
+        this.write(frame, 'd', deltaTime);
+        this.write(frame, 'q', player.head.quaternion.toArray());
+        this.write(frame, 'h', Object.keys(input.actions).filter(action => input.isDown(action)));
+        this.write(frame, 'm', input.moveStick.toArray());
+        this.write(frame, 'l', input.lookStick.toArray());
+
+        if (this.actions.length > 0) {
+            frame.a = this.actions;
+            this.actions = [];
+        }
+
+        // Where the player was and how the world stood, to tell when a
+        // replay stops matching
+        if (this.frames.length % this.settings.checkpointInterval === 0) {
+            const precision = this.settings.checkpointPrecision;
+            frame.p = player.position.toArray().map(value => Math.round(value * precision) / precision);
+            frame.w = this.simulation.getWorldHash();
+        }
+
+        this.frames.push(frame);
+        this.duration += deltaTime;
+    }
+
+    write(frame, key, value) {
+        const changed = Array.isArray(value) ? !sameValues(value, this.last[key]) : value !== this.last[key];
+        if (changed) {
+            frame[key] = value;
+            this.last[key] = value;
+        }
+    }
+
+    isFull() {
+        return this.duration >= this.settings.maxDuration;
+    }
+
+    finish() {
+        return {
+            version: REPLAY_VERSION,
+            header: { ...this.header, duration: this.duration, frameCount: this.frames.length },
+            frames: this.frames
+        };
+    }
+}
+
+// Runs a recording through the simulation again, on the map it was recorded
+// on. The player is driven by the replay's input until stop() is called; a
+// recording ends where its player went through a door, so doors are ignored.
+export class ReplayPlayer {
+    constructor(simulation, replay, settings = REPLAY_SETTINGS) {
+        if (!replay || !replay.header || !Array.isArray(replay.frames)) {
+            throw new Error('Not a replay file');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Replay version ${replay.version} can't be played by this game (${REPLAY_VERSION})`);
+        }
+
+        this.simulation = simulation;
+        this.replay = replay;
+        this.settings = settings;
+        this.input = new ScriptedInput();
+        this.deviceInput = null;
+
+        // When each frame starts, for seeking
+        this.frameTimes = [];
+        let time = 0;
+        let deltaTime = 0;
+        replay.frames.forEach(frame => {
+            if (frame.d !== undefined) deltaTime = frame.d;
+            this.frameTimes.push(time);
+            time += deltaTime;
+        });
+        this.duration = time;
+
+        // Playback controls
+        this.speed = 1;
+        this.paused = false;
+        this.pending = 0; // seconds of replay owed to the next frame
+
+        this.frameIndex = 0;
+        this.deltaTime = 0;
+        this.divergence = null; // first checkpoint the replay missed
+        this.maxError = 0; // metres
+    }
+
+    get mapId() {
+        return this.replay.header.mapId;
+    }
+
+    get time() {
+        return this.isFinished() ? this.duration : this.frameTimes[this.frameIndex];
+    }
+
+    isFinished() {
+        return this.frameIndex >= this.replay.frames.length;
+    }
+
+    start() {
+        if (!this.deviceInput) {
+            this.deviceInput = this.simulation.player.input;
+            this.simulation.player.input = this.input;
+            this.simulation.transitionsEnabled = false;
+        }
+        this.restart();
+    }
+
+    stop() {
+        if (this.deviceInput) {
+            this.simulation.player.input = this.deviceInput;
+            this.simulation.transitionsEnabled = true;
+            this.deviceInput = null;
+        }
+        this.input.releaseAll();
+    }
+
+    // Back to the first frame, as the world was when recording started
+    restart() {
+        const simulation = this.simulation;
+        const header = this.replay.header;
+        if (simulation.office.mapId !== header.mapId) {
+            throw new Error(`The replay was recorded on ${header.mapId}, not ${simulation.office.mapId}`);
+        }
+
+        // Saved cooldowns count from the clock and the reset draws from the
+        // generator, so both are put back first
+        simulation.time = header.time;
+        simulation.random.setState(header.randomState);
+        simulation.resetWorld();
+        simulation.saves.deserialize(header.snapshot);
+
+        this.input.releaseAll();
+        this.frameIndex = 0;
+        this.deltaTime = 0;
+        this.pending = 0;
+        this.divergence = null;
+        this.maxError = 0;
+    }
+
+    // Plays at the chosen speed, called every rendered frame
+    update(deltaTime) {
+        if (this.paused || this.isFinished()) return;
+
+        this.pending += deltaTime * this.speed;
+        while (!this.isFinished()) {
+            const frame = this.replay.frames[this.frameIndex];
+            const frameTime = frame.d !== undefined ? frame.d : this.deltaTime;
+            if (this.pending < frameTime) break;
+
+            this.pending -= frameTime;
+            this.stepFrame();
+        }
+    }
+
+    stepFrame() {
+        const simulation = this.simulation;
+        const player = simulation.player;
+        const frame = this.replay.frames[this.frameIndex];
+
+        if (frame.d !== undefined) this.deltaTime = frame.d;
+        if (frame.p) this.checkPosition(frame.p);
+        if (frame.q) player.head.quaternion.fromArray(frame.q);
+        if (frame.h) this.input.setHeld(frame.h);
+        if (frame.m) this.input.moveStick.fromArray(frame.m);
+        if (frame.l) this.input.lookStick.fromArray(frame.l);
+        if (frame.a) {
+            frame.a.forEach(action => simulation.performAction(action));
+        }
+
+        // Recorded after the frame's actions had been performed
+        if (frame.w !== undefined) this.checkWorld(frame.w);
+
+        simulation.update(this.deltaTime);
+        this.frameIndex++;
+    }
+
+    checkPosition(expected) {
+        const position = this.simulation.player.position;
+        const error = Math.hypot(position.x - expected[0], position.y - expected[1], position.z - expected[2]);
+        this.maxError = Math.max(this.maxError, error);
+
+        if (error > this.settings.divergenceThreshold) {
+            this.diverge({ reason: 'position', distance: error, expected: [...expected], actual: position.toArray() });
+        }
+    }
+
+    // Coworkers, career, inventory or the challenge no longer as recorded
+    checkWorld(expected) {
+        const actual = this.simulation.getWorldHash();
+        if (actual !== expected) {
+            this.diverge({ reason: 'world', distance: 0, expected, actual });
+        }
+    }
+
+    diverge(details) {
+        if (this.divergence) return;
+
+        this.divergence = { frame: this.frameIndex, time: this.time, ...details };
+        console.warn(`Replay diverged at ${this.time.toFixed(2)}s: ${details.reason === 'world'
+            ? 'the world no longer matches'
+            : `the player is ${details.distance.toFixed(3)}m off`}`);
+        emit('replayDiverged', this.divergence);
+    }
+
+    // Jumps to a time in seconds; going back replays from the start
+    seek(time) {
+        time = Math.max(0, Math.min(this.duration, time));
+        if (time < this.time) {
+            this.restart();
+        }
+        while (!this.isFinished() && this.frameTimes[this.frameIndex] < time) {
+            this.stepFrame();
+        }
+        this.pending = 0;
+    }
+}
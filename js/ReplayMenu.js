@@ -0,0 +1,80 @@
+// ReplayMenu.js - Recording and replay controls shown on the pause menu
+export class ReplayMenu {
+    constructor(game) {
+        this.game = game;
+        this.element = document.getElementById('replay-menu');
+
+        document.addEventListener('recordingChanged', () => this.render());
+
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = '';
+        const game = this.game;
+
+        const status = document.createElement('p');
+        status.textContent = game.recorder
+            ? `Recording (${game.input.getLabel('record')} to stop)`
+            : 'Recording restarts this floor as it was when you arrived, keeping your career';
+        this.element.appendChild(status);
+        this.element.appendChild(this.createButton(
+            game.recorder ? 'Stop recording' : 'Start recording',
+            () => game.toggleRecording()
+        ));
+
+        const replay = game.lastReplay;
+        if (replay) {
+            const row = document.createElement('div');
+            row.className = 'replay-row';
+
+            const label = document.createElement('span');
+            label.textContent = `Last recording: ${replay.header.duration.toFixed(1)}s on ${replay.header.mapId}`;
+            row.appendChild(label);
+            row.appendChild(this.createButton('Watch', () => game.watchReplay(replay)));
+            row.appendChild(this.createButton('Download', () => this.download(replay)));
+            this.element.appendChild(row);
+        }
+
+        // Replay files are watched straight away, they aren't kept
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.style.display = 'none';
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                this.watchFile(input.files[0]);
+            }
+        });
+        this.element.appendChild(input);
+        this.element.appendChild(this.createButton('Watch replay file', () => input.click()));
+    }
+
+    async watchFile(file) {
+        let replay;
+        try {
+            replay = JSON.parse(await file.text());
+        } catch (e) {
+            console.error(`Failed to read replay ${file.name}:`, e);
+            replay = null;
+        }
+        this.game.watchReplay(replay);
+    }
+
+    download(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `office-rpg-replay-${replay.header.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
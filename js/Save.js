@@ -0,0 +1,184 @@
+// Save.js - Save game serialization, storage slots and migrations
+import { emit } from './Events.js';
+import { MAPS } from './data/maps.js';
+import { STARTING_INVENTORY } from './data/inventory.js';
+
+// Bump when the save layout changes and add a migration from the old version
+export const SAVE_VERSION = 2;
+
+// migrations[n] upgrades a version n save to version n + 1
+const migrations = {
+    // Version 2 saves persistent props. The view mode, stamp cooldowns,
+    // inventory and status effects came after version 1 without a bump, so
+    // version 1 saves from before them get what a new career starts with
+    1: (data) => {
+        const sections = data.sections;
+        if (sections.player && !sections.player.viewMode) {
+            sections.player.viewMode = 'first';
+        }
+        if (sections.combat && !sections.combat.stampCooldowns) {
+            sections.combat.stampCooldowns = {};
+        }
+        sections.inventory = sections.inventory || JSON.parse(JSON.stringify(STARTING_INVENTORY));
+        sections.statusEffects = sections.statusEffects || [];
+        sections.interactables = sections.interactables || {};
+        return data;
+    }
+};
+
+const STORAGE_PREFIX = 'bureaucratic-office-rpg/save/';
+
+export class SaveManager {
+    constructor(game) {
+        this.game = game;
+        this.slots = ['autosave', 'slot1', 'slot2', 'slot3'];
+
+        // Each section is saved and restored by the system that owns it
+        this.sections = {};
+        this.registerSection('player', game.player);
+        this.registerSection('career', game.player.career);
+        this.registerSection('inventory', game.player.inventory);
+        this.registerSection('statusEffects', game.player.statusEffects);
+        this.registerSection('combat', game.combat);
+        this.registerSection('interactables', game.interactableMemory);
+    }
+
+    registerSection(name, owner) {
+        this.sections[name] = owner;
+    }
+
+    serialize() {
+        const data = {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            mapId: this.game.office.mapId,
+            sections: {}
+        };
+
+        for (const name in this.sections) {
+            data.sections[name] = this.sections[name].serialize();
+        }
+        return data;
+    }
+
+    deserialize(data) {
+        for (const name in this.sections) {
+            if (data.sections[name]) {
+                this.sections[name].deserialize(data.sections[name]);
+            }
+        }
+    }
+
+    migrate(data) {
+        if (!data || typeof data.version !== 'number' || !data.sections) {
+            throw new Error('Not a save file');
+        }
+        if (data.version > SAVE_VERSION) {
+            throw new Error(`Save version ${data.version} is newer than this game (${SAVE_VERSION})`);
+        }
+
+        while (data.version < SAVE_VERSION) {
+            const migration = migrations[data.version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${data.version}`);
+            }
+            data = migration(data);
+            data.version++;
+        }
+        return data;
+    }
+
+    save(slot) {
+        try {
+            const data = this.serialize();
+            localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(data));
+            this.dispatchSaveEvent('gameSaved', slot);
+            return true;
+        } catch (e) {
+            console.error(`Failed to save to slot ${slot}:`, e);
+            return false;
+        }
+    }
+
+    async load(slot) {
+        const json = localStorage.getItem(STORAGE_PREFIX + slot);
+        if (!json) return false;
+
+        return this.loadFromJSON(json, slot);
+    }
+
+    async loadFromJSON(json, slot) {
+        try {
+            const data = this.migrate(JSON.parse(json));
+
+            // Saves made on another floor load that map first
+            if (data.mapId !== this.game.office.mapId) {
+                if (!MAPS[data.mapId]) {
+                    throw new Error(`The save is on a floor this game doesn't have (${data.mapId})`);
+                }
+                if (!await this.game.changeMap(data.mapId)) {
+                    throw new Error(`Could not go to ${MAPS[data.mapId].name} while another floor is loading`);
+                }
+            }
+
+            this.deserialize(data);
+            this.dispatchSaveEvent('gameLoaded', slot);
+            return true;
+        } catch (e) {
+            console.error(`Failed to load save ${slot}:`, e);
+            this.dispatchSaveEvent('saveError', slot, { message: e.message });
+            return false;
+        }
+    }
+
+    deleteSlot(slot) {
+        localStorage.removeItem(STORAGE_PREFIX + slot);
+    }
+
+    // Summary of each slot for the save menu, null for empty slots
+    listSlots() {
+        return this.slots.map(slot => {
+            const json = localStorage.getItem(STORAGE_PREFIX + slot);
+            if (!json) return { slot, summary: null };
+
+            try {
+                const data = JSON.parse(json);
+                const career = data.sections && data.sections.career;
+                return {
+                    slot,
+                    summary: {
+                        savedAt: data.savedAt,
+                        mapId: data.mapId,
+                        rankIndex: career ? career.rankIndex : 0
+                    }
+                };
+            } catch (e) {
+                return { slot, summary: null };
+            }
+        });
+    }
+
+    exportToFile(slot) {
+        const json = localStorage.getItem(STORAGE_PREFIX + slot) || JSON.stringify(this.serialize());
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `office-rpg-${slot}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importFromFile(file, slot) {
+        const json = await file.text();
+        if (!await this.loadFromJSON(json, file.name)) return false;
+
+        // Keep the imported game in a slot so it survives a reload
+        return this.save(slot);
+    }
+
+    dispatchSaveEvent(name, slot, extra = {}) {
+        emit(name, { slot, ...extra });
+    }
+}
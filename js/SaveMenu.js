@@ -0,0 +1,61 @@
+// SaveMenu.js - Save slot controls shown on the pause menu
+import { CAREER_RANKS } from './data/career.js';
+
+export class SaveMenu {
+    constructor(saves) {
+        this.saves = saves;
+        this.element = document.getElementById('save-menu');
+
+        document.addEventListener('gameSaved', () => this.render());
+        document.addEventListener('gameLoaded', () => this.render());
+
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        this.saves.listSlots().forEach(({ slot, summary }) => {
+            const row = document.createElement('div');
+            row.className = 'save-slot';
+
+            const label = document.createElement('span');
+            label.className = 'save-slot-label';
+            label.textContent = summary
+                ? `${slot}: ${CAREER_RANKS[summary.rankIndex].title}, ${new Date(summary.savedAt).toLocaleString()}`
+                : `${slot}: empty`;
+            row.appendChild(label);
+
+            // The autosave slot is only written by the game itself
+            if (slot !== 'autosave') {
+                row.appendChild(this.createButton('Save', () => this.saves.save(slot)));
+            }
+            if (summary) {
+                row.appendChild(this.createButton('Load', () => this.saves.load(slot)));
+                row.appendChild(this.createButton('Export', () => this.saves.exportToFile(slot)));
+            }
+
+            this.element.appendChild(row);
+        });
+
+        // Imported saves go into the first manual slot
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.style.display = 'none';
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                this.saves.importFromFile(input.files[0], 'slot1');
+            }
+        });
+        this.element.appendChild(input);
+        this.element.appendChild(this.createButton('Import save file', () => input.click()));
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
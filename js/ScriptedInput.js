@@ -0,0 +1,85 @@
+// ScriptedInput.js - Named actions set from code, for running the simulation without a browser
+import * as THREE from 'three';
+import { INPUT_ACTIONS, INPUT_SETTINGS } from './data/input.js';
+
+// Answers the same questions as InputManager, but actions are pressed by name
+export class ScriptedInput extends EventTarget {
+    constructor(actions = INPUT_ACTIONS, settings = INPUT_SETTINGS) {
+        super();
+        this.actions = actions;
+        this.settings = settings;
+        this.held = new Set(); // action names currently down
+
+        // Stick positions, -1 to 1 on each axis
+        this.moveStick = new THREE.Vector2();
+        this.lookStick = new THREE.Vector2();
+    }
+
+    press(action) {
+        if (!this.actions[action]) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        if (this.held.has(action)) return;
+
+        this.held.add(action);
+        this.dispatchAction('actionDown', action);
+    }
+
+    release(action) {
+        if (this.held.delete(action)) {
+            this.dispatchAction('actionUp', action);
+        }
+    }
+
+    // Down and straight back up, for one-off actions like throw or interact
+    tap(action) {
+        this.press(action);
+        this.release(action);
+    }
+
+    releaseAll() {
+        [...this.held].forEach(action => this.release(action));
+        this.moveStick.set(0, 0);
+        this.lookStick.set(0, 0);
+    }
+
+    // Replaces what is held without action events, replays perform actions themselves
+    setHeld(actions) {
+        this.held = new Set(actions);
+    }
+
+    isDown(action) {
+        return this.held.has(action);
+    }
+
+    dispatchAction(name, action) {
+        this.dispatchEvent(new CustomEvent(name, { detail: { action } }));
+    }
+
+    // Nothing to poll, kept so the game loop can treat both inputs alike
+    update() {}
+
+    getAxis(negative, positive) {
+        return (this.isDown(positive) ? 1 : 0) - (this.isDown(negative) ? 1 : 0);
+    }
+
+    getMoveVector(target = new THREE.Vector3()) {
+        target.set(
+            this.getAxis('moveLeft', 'moveRight') + this.moveStick.x,
+            0,
+            this.getAxis('moveForward', 'moveBackward') + this.moveStick.y
+        );
+        if (target.lengthSq() > 1) {
+            target.normalize();
+        }
+        return target;
+    }
+
+    getLookDelta(deltaTime, target = new THREE.Vector2()) {
+        return target.copy(this.lookStick).multiplyScalar(this.settings.lookSpeed * deltaTime);
+    }
+
+    getLabel(action) {
+        return action;
+    }
+}
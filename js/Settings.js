@@ -0,0 +1,59 @@
+// Settings.js - Player options, kept in localStorage between sessions
+import { DEFAULT_SETTINGS, QUALITY_PRESETS } from './data/settings.js';
+
+const STORAGE_KEY = 'bureaucratic-office-rpg/settings';
+
+export class Settings extends EventTarget {
+    constructor(defaults = DEFAULT_SETTINGS) {
+        super();
+        this.defaults = defaults;
+        this.values = { ...defaults };
+        this.load();
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        const previous = this.values[key];
+        if (previous === value) return;
+
+        this.values[key] = value;
+        this.save();
+        this.dispatchEvent(new CustomEvent('change', { detail: { key, value, previous } }));
+    }
+
+    getQuality() {
+        return QUALITY_PRESETS[this.values.quality] || QUALITY_PRESETS[this.defaults.quality];
+    }
+
+    reset() {
+        Object.keys(this.defaults).forEach(key => this.set(key, this.defaults[key]));
+    }
+
+    load() {
+        try {
+            const json = localStorage.getItem(STORAGE_KEY);
+            if (!json) return;
+
+            // Only known options are taken, so stale keys from older versions are dropped
+            const stored = JSON.parse(json);
+            Object.keys(this.defaults).forEach(key => {
+                if (typeof stored[key] === typeof this.defaults[key]) {
+                    this.values[key] = stored[key];
+                }
+            });
+        } catch (e) {
+            console.warn('Could not load settings, using defaults:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings:', e.message);
+        }
+    }
+}
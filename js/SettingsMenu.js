@@ -0,0 +1,71 @@
+// SettingsMenu.js - Quality, control and volume options shown on the pause menu
+import { QUALITY_PRESETS, SETTING_RANGES } from './data/settings.js';
+
+export class SettingsMenu {
+    constructor(settings) {
+        this.settings = settings;
+        this.element = document.getElementById('settings-menu');
+
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        const quality = document.createElement('select');
+        Object.keys(QUALITY_PRESETS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = QUALITY_PRESETS[key].name;
+            quality.appendChild(option);
+        });
+        quality.value = this.settings.get('quality');
+        quality.addEventListener('change', () => this.settings.set('quality', quality.value));
+        this.addRow('Graphics quality', quality);
+
+        Object.keys(SETTING_RANGES).forEach(key => {
+            this.addRow(SETTING_RANGES[key].label, ...this.createSlider(key, SETTING_RANGES[key]));
+        });
+
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => {
+            this.settings.reset();
+            this.render();
+        });
+        this.element.appendChild(reset);
+    }
+
+    addRow(text, ...controls) {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.textContent = text;
+        row.appendChild(label);
+
+        controls.forEach(control => row.appendChild(control));
+        this.element.appendChild(row);
+    }
+
+    createSlider(key, range) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = range.min;
+        slider.max = range.max;
+        slider.step = range.step;
+        slider.value = this.settings.get(key);
+
+        const value = document.createElement('span');
+        value.className = 'settings-value';
+        value.textContent = this.settings.get(key);
+
+        // Applied while dragging so the change can be seen and heard straight away
+        slider.addEventListener('input', () => {
+            this.settings.set(key, parseFloat(slider.value));
+            value.textContent = slider.value;
+        });
+        return [slider, value];
+    }
+}
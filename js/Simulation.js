@@ -0,0 +1,517 @@
+// Simulation.js - The game world without rendering, audio or browser input
+import * as THREE from 'three';
+import { Player } from './Player.js';
+import { Office } from './Office.js';
+import { AssetLoader } from './Assets.js';
+import { Combat } from './Combat.js';
+import { EncounterManager } from './Encounter.js';
+import { NavigationGrid } from './Navigation.js';
+import { NPCManager } from './NPC.js';
+import { InteractionSystem, InteractableMemory } from './Interaction.js';
+import { SaveManager } from './Save.js';
+import { ReplayRecorder } from './Replay.js';
+import { createRandom, hashString } from './Random.js';
+import { getSlotIndex } from './Input.js';
+import { emit, on } from './Events.js';
+import { INTERACTABLE_TYPES, INTERACTION_SETTINGS } from './data/interactables.js';
+import { PICKUP_TABLES } from './data/inventory.js';
+import { STAMP_ABILITIES } from './data/stamps.js';
+import { DEFAULT_MAP_ID } from './data/maps.js';
+
+// Movement, collision, combat, challenges and progression. Runs in Node as well
+// as the browser: input comes from anything that answers like InputManager.
+export class Simulation {
+    constructor(input, { seed = Date.now(), mapId = DEFAULT_MAP_ID, assets = new AssetLoader() } = {}) {
+        this.scene = new THREE.Scene();
+        this.input = input; // the player's own input may be swapped for a replay's
+        this.lookDelta = new THREE.Vector2();
+
+        // Every gameplay roll comes from the seeded generator; effects have
+        // their own so whether they are drawn never changes the rolls
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+        this.effectsRandom = createRandom(this.seed ^ 0x5EED);
+
+        // Fixed-timestep simulation clock
+        this.fixedTimeStep = 1 / 60; // seconds
+        this.accumulator = 0;
+        this.time = 0; // seconds simulated
+        this.stepCount = 0;
+
+        // Create office, null leaves it empty until a map is given; maps are
+        // downloaded by the asset loader
+        this.assets = assets;
+        this.office = new Office(this.scene, mapId, assets);
+
+        // Create player
+        this.player = new Player(this.scene, input);
+
+        // Create combat system, started and ended by encounter triggers
+        this.combat = new Combat(this.player, this.scene, this.random, this.effectsRandom);
+        this.encounters = new EncounterManager(this.combat, this.player);
+        this.aimRaycaster = new THREE.Raycaster();
+        this.throwRange = 30;
+        this.stampRange = 6;
+
+        // Map transitions through doors and elevators
+        this.pendingSpawn = null;
+        this.transitionsArmed = false;
+        this.transitionsEnabled = true; // off while a replay plays, replays stay on their map
+
+        // Coworker NPCs, spawned once the map and its navigation grid exist
+        this.npcs = new NPCManager(this.scene, this.combat, this.random);
+        this.navGrid = null;
+
+        // E uses the prop under the crosshair
+        this.interaction = new InteractionSystem(this.player, this.office, this.scene);
+        this.interactableMemory = new InteractableMemory(this.office, () => this.time);
+        this.setupInteractions();
+
+        // Save sections; the browser also keeps them in storage slots
+        this.saves = new SaveManager(this);
+
+        // Records inputs for a replay while set, see Replay.js
+        this.recorder = null;
+
+        // The versus match being played while set, see Multiplayer.js
+        this.network = null;
+
+        // Bus listeners, removed again by dispose()
+        this.listeners = [];
+
+        // Listen for map loaded event to set collidable objects
+        this.listen('mapLoaded', () => {
+            console.log('Map loaded, setting collidable objects for player');
+            this.player.collisionWorld = this.office.getCollisionWorld();
+            this.combat.collidableObjects = this.office.getCollidableObjects();
+            this.setupEncounters();
+            this.setupNPCs();
+            this.interactableMemory.attach();
+
+            // Arrive at the spawn point the door or elevator leads to
+            this.placePlayerAtSpawn(this.pendingSpawn || 'Spawn');
+            this.pendingSpawn = null;
+            this.transitionsArmed = false;
+        });
+
+        // Drop everything that referenced the old map; a replay covers one map
+        this.listen('mapUnloaded', () => {
+            this.stopRecording();
+            this.encounters.clearTriggers();
+            this.npcs.clear();
+            this.interaction.clear();
+            this.navGrid = null;
+            this.player.collisionWorld = null;
+            this.combat.collidableObjects = [];
+        });
+
+        // Coworkers who reach the player hand over a paperwork challenge
+        this.listen('paperworkDelivered', () => {
+            if (this.combat.combatActive && !this.combat.activeChallenge) {
+                this.combat.createChallenge();
+            }
+        });
+    }
+
+    listen(name, handler) {
+        this.listeners.push(on(name, handler));
+    }
+
+    // The event bus is shared, so only one simulation should be live at a
+    // time; dispose of one before starting the next in the same process
+    dispose() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.npcs.dispose();
+    }
+
+    setupEncounters() {
+        this.encounters.clearTriggers();
+        this.office.getEncounterZones().forEach(zone => {
+            this.encounters.addTriggerFromObject(zone);
+        });
+
+        // Maps without encounter markers are one big encounter
+        if (this.encounters.triggers.length === 0 && this.office.currentMap) {
+            const bounds = new THREE.Box3().setFromObject(this.office.currentMap);
+            bounds.expandByScalar(2);
+            this.encounters.addTrigger('map', bounds);
+        }
+
+        console.log(`Encounter triggers: ${this.encounters.triggers.length}`);
+    }
+
+    changeMap(mapId, spawnName = null) {
+        if (this.office.isLoading) {
+            return Promise.resolve(false);
+        }
+
+        this.pendingSpawn = spawnName;
+        return this.office.loadMap(mapId).then(() => true);
+    }
+
+    placePlayerAtSpawn(spawnName) {
+        const spawn = this.office.getSpawnPoint(spawnName);
+        this.player.teleport(spawn.position, spawn.yaw);
+    }
+
+    checkTransitions() {
+        if (!this.transitionsEnabled) return;
+
+        const position = this.player.position;
+        const transition = this.office.findTransitionAt(position);
+
+        // Arriving next to a door must not send the player straight back
+        if (!transition) {
+            this.transitionsArmed = true;
+            return;
+        }
+
+        if (this.transitionsArmed) {
+            this.transitionsArmed = false;
+            console.log(`Transition to ${transition.targetMap} via ${transition.object.name}`);
+            this.changeMap(transition.targetMap, transition.targetSpawn)
+                .catch(error => console.error('Map transition failed:', error));
+        }
+    }
+
+    setupNPCs() {
+        this.navGrid = NavigationGrid.fromColliders(this.office.getCollidableObjects());
+        this.npcs.setNavigation(this.navGrid);
+        this.npcs.spawnFromMarkers(this.office.getNPCSpawns(), this.office.getWaterCoolers());
+    }
+
+    setupInteractions() {
+        const settings = INTERACTION_SETTINGS;
+
+        this.interaction.registerHandler('door', (door) => {
+            // Doors to other floors go there, the rest swing open and shut
+            const transition = this.office.findTransitionFor(door.object);
+            if (transition) {
+                this.changeMap(transition.targetMap, transition.targetSpawn)
+                    .catch(error => console.error('Map transition failed:', error));
+                return { result: 'travel' };
+            }
+
+            door.state.open = !door.state.open;
+            door.object.rotation.y += door.state.open ? settings.doorSwing : -settings.doorSwing;
+            door.object.updateMatrixWorld(true);
+            door.prompt = door.state.open ? 'close door' : 'open door';
+            this.player.collisionWorld = this.office.rebuildCollisionWorld();
+            return { result: door.state.open ? 'opened' : 'closed' };
+        });
+
+        this.interaction.registerHandler('lightSwitch', (lightSwitch) => {
+            // Without a list of light names a switch controls every light but the ambient
+            const names = lightSwitch.object.userData.lights;
+            lightSwitch.state.off = !lightSwitch.state.off;
+
+            this.scene.traverse((object) => {
+                if (!object.isLight || object.isAmbientLight) return;
+                if (names && !names.includes(object.name)) return;
+
+                if (object.userData.baseIntensity === undefined) {
+                    object.userData.baseIntensity = object.intensity;
+                }
+                object.intensity = lightSwitch.state.off ? 0 : object.userData.baseIntensity;
+            });
+            return { result: lightSwitch.state.off ? 'off' : 'on' };
+        });
+
+        // Cooldowns run on simulation time, so they pause with the game
+        this.interaction.registerHandler('waterCooler', (cooler) => {
+            if (this.time < (cooler.state.readyAt || 0)) {
+                return { result: 'empty' };
+            }
+
+            cooler.state.readyAt = this.time + settings.waterCoolerCooldown;
+            this.player.career.setStamina(this.player.career.stamina + settings.waterCoolerStamina);
+            return { result: 'refreshed', amount: settings.waterCoolerStamina };
+        });
+
+        this.interaction.registerHandler('filingCabinet', (cabinet) => {
+            if (cabinet.state.searched) {
+                return { result: 'empty' };
+            }
+
+            const pickups = this.player.inventory.addPickups(PICKUP_TABLES.filingCabinet, this.random);
+            if (pickups.length === 0) {
+                return { result: 'full' };
+            }
+
+            cabinet.state.searched = true;
+            return { result: 'found', items: this.describePickups(pickups) };
+        });
+
+        this.interaction.registerHandler('printer', (printer) => {
+            if (this.time < (printer.state.readyAt || 0)) {
+                return { result: 'empty' };
+            }
+
+            const pickups = this.player.inventory.addPickups(PICKUP_TABLES.printer, this.random);
+            if (pickups.length === 0) {
+                return { result: 'full' };
+            }
+
+            printer.state.readyAt = this.time + settings.printerCooldown;
+            return { result: 'found', items: this.describePickups(pickups) };
+        });
+
+        this.interaction.registerHandler('copier', () => {
+            // A copy of the current form buys some time, once per challenge
+            const challenge = this.combat.activeChallenge;
+            if (!challenge || challenge.copied) {
+                return { result: 'idle' };
+            }
+
+            challenge.copied = true;
+            challenge.timeRemaining += settings.copierTimeBonus;
+            this.combat.dispatchChallengeEvent('challengeTimer');
+            return { result: 'copied', amount: settings.copierTimeBonus };
+        });
+    }
+
+    describePickups(pickups) {
+        return pickups.map(pickup => `${pickup.amount} ${pickup.item}`).join(', ');
+    }
+
+    // Does what a named action does while walking the office. Number keys pick
+    // the document type, or stamp a field while paperwork is open. Everything
+    // done here is recorded, so replays repeat it.
+    performAction(action) {
+        if (this.recorder) {
+            this.recorder.recordAction(action);
+        }
+        if (this.network) {
+            // A versus match holds back what a buried player can't do, the server doesn't hear of it either
+            if (!this.network.allowsAction(action)) return;
+            this.network.recordAction(action);
+        }
+
+        const slot = getSlotIndex(action);
+        if (slot >= 0) {
+            if (this.combat.activeChallenge) {
+                this.combat.stampChallengeField(slot, this.combat.selectedStampType);
+            } else if (slot < this.combat.documentTypes.length) {
+                this.combat.selectDocumentType(this.combat.documentTypes[slot]);
+            }
+            return;
+        }
+
+        switch (action) {
+            case 'jump':
+                this.player.jump();
+                break;
+            case 'toggleView':
+                this.player.toggleViewMode();
+                break;
+            case 'submitChallenge':
+                this.combat.submitChallenge();
+                break;
+            case 'interact':
+                this.interaction.interact();
+                break;
+            case 'cycleStamp':
+                this.combat.cycleStampType();
+                break;
+            case 'useConsumable':
+                this.player.useConsumable();
+                break;
+            case 'cycleConsumable':
+                this.player.cycleConsumable();
+                break;
+            case 'throw':
+                this.throwSelectedDocument();
+                break;
+            case 'stamp':
+                this.stampAtCrosshair();
+                break;
+            case 'nextDocument':
+                this.combat.cycleDocumentType(1);
+                break;
+            case 'previousDocument':
+                this.combat.cycleDocumentType(-1);
+                break;
+        }
+    }
+
+    getCrosshairHit(range) {
+        // Rendering updates the camera's matrices too, but not before actions or without a renderer
+        this.player.camera.updateMatrixWorld();
+        this.aimRaycaster.setFromCamera(new THREE.Vector2(0, 0), this.player.camera);
+        this.aimRaycaster.far = range;
+
+        const hits = [
+            ...this.aimRaycaster.intersectObjects(this.combat.targets, true),
+            ...this.aimRaycaster.intersectObjects(this.office.getCollidableObjects(), false)
+        ];
+        hits.sort((a, b) => a.distance - b.distance);
+        return hits[0] || null;
+    }
+
+    throwSelectedDocument() {
+        // Aim at whatever is under the crosshair, or far along the view ray
+        const hit = this.getCrosshairHit(this.throwRange);
+        const aimPoint = hit ? hit.point : this.aimRaycaster.ray.at(this.throwRange, new THREE.Vector3());
+
+        return this.combat.throwDocument(this.player, this.combat.selectedDocumentType, { position: aimPoint });
+    }
+
+    stampAtCrosshair() {
+        const stampType = this.combat.selectedStampType;
+        const hit = this.getCrosshairHit(this.stampRange);
+        if (hit) {
+            return this.combat.useStamp(this.player, stampType, hit.point);
+        }
+
+        // Stamps that only buff the player need nothing to land on, they go at their feet
+        const ability = STAMP_ABILITIES[stampType];
+        if (ability.playerEffect && !ability.radius) {
+            return this.combat.useStamp(this.player, stampType, this.player.getFeetPosition());
+        }
+        return false;
+    }
+
+    // Puts the loaded map back as it was when it loaded: coworkers at their
+    // desks, doors shut, lights on and no fight going on
+    resetWorld() {
+        this.combat.reset();
+        this.office.getInteractables().forEach(interactable => {
+            // Searched cabinets and cooldowns stay, the save data has them
+            if (INTERACTABLE_TYPES[interactable.type] && INTERACTABLE_TYPES[interactable.type].persistent) return;
+
+            // Door and light switch handlers toggle, so using them again undoes them
+            if (interactable.state.open || interactable.state.off) {
+                this.interaction.handlers[interactable.type](interactable);
+            }
+            interactable.state = {};
+            interactable.prompt = interactable.initialPrompt;
+        });
+        this.interaction.clear();
+
+        this.setupEncounters();
+        if (this.combat.combatActive) {
+            this.combat.endCombat();
+        }
+        this.setupNPCs();
+
+        this.pendingSpawn = null;
+        this.transitionsArmed = false;
+        this.accumulator = 0;
+    }
+
+    // Puts back what saves.serialize() took, on the map it was taken on; a
+    // fresh copy of the map when that's the current one, as loading would give
+    restoreSnapshot(snapshot) {
+        if (snapshot.mapId !== this.office.mapId) {
+            return this.changeMap(snapshot.mapId).then(() => this.saves.deserialize(snapshot));
+        }
+
+        this.resetWorld();
+        this.saves.deserialize(snapshot);
+        return Promise.resolve();
+    }
+
+    // Fingerprint of what a replay has to reproduce besides the player: the
+    // generator, coworkers, career, inventory and any challenge. Positions
+    // are rounded to centimetres, drift smaller than that doesn't count.
+    getWorldHash() {
+        const round = (value) => Math.round(value * 100);
+        const challenge = this.combat.activeChallenge;
+        return hashString(JSON.stringify([
+            this.random.getState(),
+            this.npcs.npcs.map(npc => [npc.state, round(npc.position.x), round(npc.position.z), npc.composure]),
+            this.player.career.serialize(),
+            this.player.inventory.serialize(),
+            challenge ? [challenge.form.toJSON(), round(challenge.timeRemaining)] : null
+        ]));
+    }
+
+    // Recording starts from the map as it loaded and the current save data,
+    // which is all a replay can rebuild, so the world is reset to that first
+    startRecording() {
+        if (this.recorder || this.network || !this.office.currentMap || this.office.isLoading) return false;
+
+        // The reset draws coworkers' idle times from the generator, so the
+        // recorder takes its state from before and playback repeats the draws
+        const recorder = new ReplayRecorder(this);
+        const snapshot = this.saves.serialize();
+        this.resetWorld();
+        this.saves.deserialize(snapshot);
+
+        this.recorder = recorder;
+        emit('recordingChanged', { recording: true });
+        return true;
+    }
+
+    // Returns the finished replay, or null when nothing was being recorded
+    stopRecording() {
+        if (!this.recorder) return null;
+
+        const replay = this.recorder.finish();
+        this.recorder = null;
+        emit('recordingChanged', { recording: false, replay, duration: Number(replay.header.duration.toFixed(1)) });
+        return replay;
+    }
+
+    // Advances the world by a frame's worth of time
+    update(deltaTime) {
+        // The world is empty while a map is loading
+        if (this.office.isLoading) return;
+
+        if (this.recorder) {
+            this.recorder.recordFrame(deltaTime);
+            if (this.recorder.isFull()) {
+                this.stopRecording();
+            }
+        }
+
+        // Server updates that arrived since the last frame
+        if (this.network) {
+            this.network.update(deltaTime);
+        }
+
+        // The right stick turns the view at the frame rate, like the mouse
+        const look = this.player.input.getLookDelta(deltaTime, this.lookDelta);
+        this.player.look(look.x, look.y);
+
+        // Step the simulation in fixed increments whatever the frame rate
+        this.accumulator += deltaTime;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+
+        // Place the player part way between the last two steps; the camera
+        // also aims the crosshair, so it is kept up to date without a renderer
+        this.player.interpolate(this.accumulator / this.fixedTimeStep);
+        this.player.updateCamera(deltaTime);
+        this.interaction.update();
+    }
+
+    step(deltaTime) {
+        this.time += deltaTime;
+        this.stepCount++;
+
+        // In a match every step's movement goes to the server as well
+        if (this.network) {
+            this.network.recordStep(deltaTime);
+        }
+        this.player.update(deltaTime);
+        this.checkTransitions();
+        this.applyHazards();
+        this.npcs.update(deltaTime, this.player.getFeetPosition(), this.player.statusEffects.modify('visibility', 1));
+        this.encounters.update();
+        this.combat.update(deltaTime);
+    }
+
+    applyHazards() {
+        // Standing in a hazard keeps renewing its effect until you step out
+        this.office.findHazardsAt(this.player.getFeetPosition()).forEach(hazard => {
+            this.player.statusEffects.apply(hazard.effect);
+        });
+        this.npcs.npcs.forEach(npc => {
+            this.office.findHazardsAt(npc.position).forEach(hazard => npc.statusEffects.apply(hazard.effect));
+        });
+    }
+}
@@ -0,0 +1,52 @@
+// StateMachine.js - One active state at a time, with enter and exit hooks
+import { emit } from './Events.js';
+
+export class StateMachine {
+    constructor(states) {
+        this.states = states; // name -> object with enter, exit, update, onAction, onPointerLock
+        this.current = null;
+        this.currentName = null;
+    }
+
+    is(...names) {
+        return names.includes(this.currentName);
+    }
+
+    change(name, data = {}) {
+        const next = this.states[name];
+        if (!next) {
+            throw new Error(`Unknown state: ${name}`);
+        }
+
+        const previous = this.currentName;
+        if (this.current) {
+            this.current.exit(name);
+        }
+
+        this.current = next;
+        this.currentName = name;
+        console.log(`Game state: ${previous || 'none'} -> ${name}`);
+
+        // Announced before entering, as enter may move straight on to another state
+        emit('gameStateChanged', { state: name, previous });
+        next.enter(previous, data);
+    }
+
+    update(deltaTime) {
+        if (this.current) {
+            this.current.update(deltaTime);
+        }
+    }
+
+    onAction(action) {
+        if (this.current) {
+            this.current.onAction(action);
+        }
+    }
+
+    onPointerLock(locked) {
+        if (this.current) {
+            this.current.onPointerLock(locked);
+        }
+    }
+}
@@ -0,0 +1,110 @@
+// StatusEffects.js - Timed buffs and debuffs that modify stats
+import { STATUS_EFFECTS } from './data/effects.js';
+
+// Dispatches 'change' when an effect is applied, restacked or runs out
+export class StatusEffects extends EventTarget {
+    constructor(definitions = STATUS_EFFECTS) {
+        super();
+        this.definitions = definitions;
+        this.active = new Map(); // id -> { timeRemaining, stacks }
+    }
+
+    apply(id, duration = null) {
+        const definition = this.definitions[id];
+        if (!definition) {
+            console.warn(`Unknown status effect: ${id}`);
+            return false;
+        }
+
+        duration = duration ?? definition.duration;
+        const effect = this.active.get(id);
+
+        if (!effect) {
+            this.active.set(id, { timeRemaining: duration, stacks: 1 });
+        } else if (definition.stacking === 'stack') {
+            effect.stacks = Math.min(definition.maxStacks || 1, effect.stacks + 1);
+            effect.timeRemaining = Math.max(effect.timeRemaining, duration);
+        } else if (definition.stacking === 'extend') {
+            effect.timeRemaining = Math.min(definition.maxDuration ?? Infinity, effect.timeRemaining + duration);
+        } else {
+            // Only the timer restarts, hazards do this every step while stood in
+            effect.timeRemaining = Math.max(effect.timeRemaining, duration);
+            return true;
+        }
+
+        this.dispatchChange(id);
+        return true;
+    }
+
+    remove(id) {
+        if (!this.active.delete(id)) return false;
+
+        this.dispatchChange(id);
+        return true;
+    }
+
+    has(id) {
+        return this.active.has(id);
+    }
+
+    stacks(id) {
+        const effect = this.active.get(id);
+        return effect ? effect.stacks : 0;
+    }
+
+    update(deltaTime) {
+        this.active.forEach((effect, id) => {
+            effect.timeRemaining -= deltaTime;
+            if (effect.timeRemaining <= 0) {
+                this.remove(id);
+            }
+        });
+    }
+
+    // Value of a stat after every active modifier, e.g. modify('moveSpeed', 3)
+    modify(stat, base) {
+        let added = 0;
+        let multiplier = 1;
+
+        this.active.forEach((effect, id) => {
+            const modifier = this.definitions[id].modifiers[stat];
+            if (!modifier) return;
+
+            added += (modifier.add || 0) * effect.stacks;
+            multiplier *= Math.pow(modifier.multiply ?? 1, effect.stacks);
+        });
+        return (base + added) * multiplier;
+    }
+
+    // Active effects for the HUD, buffs first
+    list() {
+        return [...this.active.entries()]
+            .map(([id, effect]) => ({ id, ...effect, ...this.definitions[id] }))
+            .sort((a, b) => !!a.debuff - !!b.debuff);
+    }
+
+    clear() {
+        [...this.active.keys()].forEach(id => this.remove(id));
+    }
+
+    dispatchChange(id) {
+        const effect = this.active.get(id);
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: { id, active: !!effect, stacks: effect ? effect.stacks : 0 }
+        }));
+    }
+
+    serialize() {
+        return [...this.active.entries()].map(([id, effect]) => ({ id, ...effect }));
+    }
+
+    deserialize(data) {
+        this.clear();
+        data.forEach(({ id, timeRemaining, stacks }) => {
+            if (!this.definitions[id]) return;
+
+            this.active.set(id, { timeRemaining, stacks });
+            this.dispatchChange(id);
+        });
+    }
+}
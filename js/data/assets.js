@@ -0,0 +1,26 @@
+// assets.js - Files loaded at startup and how failed downloads are retried
+import { MAPS, DEFAULT_MAP_ID } from './maps.js';
+
+export const ASSET_SETTINGS = {
+    retries: 3, // automatic attempts after the first before a file counts as failed
+    retryDelay: 0.5 // seconds before the first retry, doubled for each one after
+};
+
+export const SOUND_MANIFEST = 'sounds/manifest.json';
+
+// Preloaded when the game starts. type: 'model' (GLB), 'audio' or 'json'.
+// Required files must be in before the game is playable; a failed one keeps
+// the loading screen up until the player retries. Optional files are done
+// without. Background files don't hold the loading screen: the other floors
+// download while the player works and are only parsed when entered. The
+// sound files themselves are listed in the sound manifest.
+export const ASSET_MANIFEST = [
+    ...Object.keys(MAPS).map(mapId => ({
+        url: MAPS[mapId].file,
+        type: 'model',
+        label: MAPS[mapId].name,
+        required: mapId === DEFAULT_MAP_ID,
+        background: mapId !== DEFAULT_MAP_ID
+    })),
+    { url: SOUND_MANIFEST, type: 'json', label: 'Sound list' }
+];
@@ -0,0 +1,24 @@
+// career.js - Career ladder and progression tuning data
+
+// Ranks in promotion order; a rank is reached once bureaucracyLevel hits minLevel
+export const CAREER_RANKS = [
+    { title: 'Intern', minLevel: 0 },
+    { title: 'Junior Clerk', minLevel: 10 },
+    { title: 'Clerk', minLevel: 20 },
+    { title: 'Senior Clerk', minLevel: 30 },
+    { title: 'Assistant Manager', minLevel: 40 },
+    { title: 'Deputy Manager', minLevel: 50 },
+    { title: 'Manager', minLevel: 60 },
+    { title: 'Senior Manager', minLevel: 70 },
+    { title: 'Director', minLevel: 80 },
+    { title: 'Executive Director', minLevel: 90 }
+];
+
+export const CAREER_SETTINGS = {
+    startingLevel: 0,
+    startingInfluence: 0,
+    maxStamina: 100,
+    staminaRegenRate: 2, // per second
+    failurePenalty: 10, // stamina lost per failed challenge
+    failuresBeforeDemotion: 3
+};
@@ -0,0 +1,82 @@
+// effects.js - Timed status effects and the floor hazards that cause them
+
+// Modifiers change a stat: `add` is applied first, then `multiply`, both once
+// per stack. Stats: moveSpeed, traction, projectileSpeed, damage, maxStamps,
+// staminaRegen and visibility (how far away coworkers notice the player).
+// Stacking rules when an effect is applied again:
+//   refresh: one instance, the timer restarts
+//   stack:   up to maxStacks instances, the timer restarts
+//   extend:  one instance, the duration adds up to maxDuration
+export const STATUS_EFFECTS = {
+    caffeinated: {
+        name: 'Caffeinated',
+        duration: 20, // seconds
+        stacking: 'stack',
+        maxStacks: 3,
+        modifiers: { moveSpeed: { multiply: 1.1 }, staminaRegen: { multiply: 1.5 } }
+    },
+    sugarRush: {
+        name: 'Sugar rush',
+        duration: 15,
+        stacking: 'extend',
+        maxDuration: 45,
+        modifiers: { staminaRegen: { add: 3 } }
+    },
+    evaluated: {
+        name: 'Exceeds expectations',
+        duration: 30,
+        stacking: 'refresh',
+        modifiers: {
+            moveSpeed: { multiply: 1.15 },
+            projectileSpeed: { multiply: 1.2 },
+            maxStamps: { add: 1 },
+            staminaRegen: { multiply: 1.25 }
+        }
+    },
+    stapled: {
+        name: 'Premium stapler',
+        duration: 30,
+        stacking: 'refresh',
+        modifiers: { damage: { multiply: 1.5 } }
+    },
+    rushed: {
+        name: 'Urgent',
+        duration: 6,
+        stacking: 'refresh',
+        modifiers: { moveSpeed: { multiply: 1.4 } }
+    },
+    classified: {
+        name: 'Confidential',
+        duration: 8,
+        stacking: 'refresh',
+        modifiers: { visibility: { multiply: 0 } }
+    },
+    onHold: {
+        name: 'On hold', // coworkers stand frozen until it runs out
+        debuff: true,
+        duration: 4,
+        stacking: 'refresh',
+        modifiers: { moveSpeed: { multiply: 0 } }
+    },
+    slipping: {
+        name: 'Wet floor',
+        debuff: true,
+        duration: 0.5, // lingers briefly after stepping off
+        stacking: 'refresh',
+        modifiers: { traction: { multiply: 0.15 } }
+    },
+    sticky: {
+        name: 'Coffee spill',
+        debuff: true,
+        duration: 0.5,
+        stacking: 'refresh',
+        modifiers: { moveSpeed: { multiply: 0.5 } }
+    }
+};
+
+// Map nodes whose names start with the pattern apply the effect to anyone
+// standing within `margin` metres of them
+export const HAZARDS = {
+    wetFloor: { pattern: /^WetFloor/, effect: 'slipping', margin: 0.5 },
+    coffeeSpill: { pattern: /^CoffeeSpill/, effect: 'sticky', margin: 0.2 }
+};
@@ -0,0 +1,59 @@
+// input.js - Named input actions and their default bindings
+
+// Keyboard bindings are KeyboardEvent.code values, mouse buttons are Mouse0
+// (left) to Mouse2 (right) and the wheel is WheelUp/WheelDown. Gamepad
+// bindings are Pad<n> for button n of the standard gamepad layout. Walking
+// also follows the left stick and looking the right stick.
+export const INPUT_ACTIONS = {
+    moveForward: { label: 'Move forward', keyboard: ['KeyW', 'ArrowUp'], gamepad: [] },
+    moveBackward: { label: 'Move backward', keyboard: ['KeyS', 'ArrowDown'], gamepad: [] },
+    moveLeft: { label: 'Move left', keyboard: ['KeyA', 'ArrowLeft'], gamepad: [] },
+    moveRight: { label: 'Move right', keyboard: ['KeyD', 'ArrowRight'], gamepad: [] },
+    jump: { label: 'Jump', keyboard: ['Space'], gamepad: ['Pad0'] },
+    run: { label: 'Run', keyboard: ['ShiftLeft', 'ShiftRight'], gamepad: ['Pad10'] },
+    toggleView: { label: 'First / third person', keyboard: ['Tab'], gamepad: ['Pad3'] },
+    throw: { label: 'Throw document', keyboard: ['Mouse0'], gamepad: ['Pad7'] },
+    stamp: { label: 'Use stamp', keyboard: ['Mouse2'], gamepad: ['Pad6'] },
+    nextDocument: { label: 'Next document', keyboard: ['WheelDown'], gamepad: ['Pad5'] },
+    previousDocument: { label: 'Previous document', keyboard: ['WheelUp'], gamepad: ['Pad4'] },
+    cycleStamp: { label: 'Change stamp', keyboard: ['KeyQ'], gamepad: ['Pad12'] },
+    interact: { label: 'Interact', keyboard: ['KeyE'], gamepad: ['Pad2'] },
+    submitChallenge: { label: 'Submit paperwork', keyboard: ['Enter', 'NumpadEnter'], gamepad: ['Pad1'] },
+    useConsumable: { label: 'Use consumable', keyboard: ['KeyC'], gamepad: ['Pad14'] },
+    cycleConsumable: { label: 'Next consumable', keyboard: ['KeyX'], gamepad: ['Pad15'] },
+    mute: { label: 'Mute', keyboard: ['KeyM'], gamepad: [] },
+    debug: { label: 'Debug overlay', keyboard: ['F3'], gamepad: ['Pad8'] },
+    record: { label: 'Start / stop recording', keyboard: ['F8'], gamepad: [] },
+
+    // Replay playback; movement, jump and run fly the free camera
+    replayPause: { label: 'Replay: pause', keyboard: ['KeyP'], gamepad: ['Pad9'] },
+    replaySlower: { label: 'Replay: slower', keyboard: ['Minus'], gamepad: [] },
+    replayFaster: { label: 'Replay: faster', keyboard: ['Equal'], gamepad: [] },
+    replayBack: { label: 'Replay: skip back', keyboard: ['BracketLeft'], gamepad: [] },
+    replayForward: { label: 'Replay: skip forward', keyboard: ['BracketRight'], gamepad: [] },
+
+    // Pick a document type, or stamp that field of the paperwork during a challenge
+    slot1: { label: 'Slot 1', keyboard: ['Digit1', 'Numpad1'], gamepad: [] },
+    slot2: { label: 'Slot 2', keyboard: ['Digit2', 'Numpad2'], gamepad: [] },
+    slot3: { label: 'Slot 3', keyboard: ['Digit3', 'Numpad3'], gamepad: [] },
+    slot4: { label: 'Slot 4', keyboard: ['Digit4', 'Numpad4'], gamepad: [] },
+    slot5: { label: 'Slot 5', keyboard: ['Digit5', 'Numpad5'], gamepad: [] },
+    slot6: { label: 'Slot 6', keyboard: ['Digit6', 'Numpad6'], gamepad: [] },
+    slot7: { label: 'Slot 7', keyboard: ['Digit7', 'Numpad7'], gamepad: [] },
+    slot8: { label: 'Slot 8', keyboard: ['Digit8', 'Numpad8'], gamepad: [] },
+    slot9: { label: 'Slot 9', keyboard: ['Digit9', 'Numpad9'], gamepad: [] }
+};
+
+// Display names for the standard gamepad layout's buttons
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+export const INPUT_SETTINGS = {
+    stickDeadzone: 0.2, // fraction of full tilt ignored around the centre
+    triggerThreshold: 0.5, // analog triggers count as pressed past this
+    lookSpeed: 3, // radians per second at full right stick tilt
+    moveAxes: [0, 1], // left stick x, y
+    lookAxes: [2, 3] // right stick x, y
+};
@@ -0,0 +1,25 @@
+// interactables.js - Props the player can use with the E key
+
+// Map nodes are tagged by name, or explicitly with userData.interactable set
+// to one of these types. userData.prompt overrides the prompt text, and a
+// light switch's userData.lights lists the light names it controls.
+// Persistent props keep their state when the floor is left and in saves,
+// so searched cabinets and cooldowns can't be reset to get more pickups.
+export const INTERACTABLE_TYPES = {
+    door: { pattern: /^(Door|Elevator)/, prompt: 'open door' },
+    lightSwitch: { pattern: /LightSwitch/, prompt: 'flip light switch' },
+    waterCooler: { pattern: /WaterCooler/, prompt: 'drink from water cooler', persistent: true },
+    filingCabinet: { pattern: /FilingCabinet/, prompt: 'search filing cabinet', persistent: true },
+    printer: { pattern: /Printer/, prompt: 'collect printouts', persistent: true },
+    copier: { pattern: /Copier/, prompt: 'use copier' }
+};
+
+export const INTERACTION_SETTINGS = {
+    range: 2.5, // metres from the player's eyes
+    highlightColor: 0xffdd55,
+    doorSwing: Math.PI / 2, // radians a door opens around its own origin
+    waterCoolerStamina: 25,
+    waterCoolerCooldown: 15, // seconds before the same cooler refreshes again
+    printerCooldown: 30, // seconds before a printer has new printouts
+    copierTimeBonus: 10 // seconds added to a challenge, once per challenge
+};
@@ -0,0 +1,56 @@
+// inventory.js - Document ammunition, stamp ink, consumables and pickups
+
+// How each document type flies and lands. Heavier paperwork is slower,
+// drops more and hits harder. Speed in m/s, gravity in m/s².
+export const DOCUMENT_TYPES = {
+    form: { color: 0xFFFFFF, damage: 10, speed: 30, gravity: 2 },
+    report: { color: 0xFFFF00, damage: 20, speed: 22, gravity: 6 },
+    memo: { color: 0x00FF00, damage: 5, speed: 38, gravity: 0.5 },
+    contract: { color: 0xFF0000, damage: 35, speed: 16, gravity: 9 },
+    permit: { color: 0x0000FF, damage: 15, speed: 28, gravity: 3 }
+};
+
+// Consumables restore stamina and/or start a status effect from data/effects.js.
+// C uses the selected one, X selects the next one held.
+export const CONSUMABLES = {
+    coffee: { stamina: 40, effect: 'caffeinated' },
+    donut: { stamina: 15, effect: 'sugarRush' },
+    evaluation: { effect: 'evaluated' }, // performance evaluation
+    stapler: { effect: 'stapled' } // premium stapler
+};
+
+// What a new career starts with, stamps count uses of their ink
+export const STARTING_INVENTORY = {
+    documents: { form: 20, report: 5, memo: 15, contract: 2, permit: 5 },
+    stamps: { approved: 10, rejected: 10, pending: 5, urgent: 3, confidential: 3 },
+    consumables: { coffee: 1, donut: 0, evaluation: 0, stapler: 0 }
+};
+
+// Most of any one item the player can carry, per category
+export const CARRY_LIMITS = {
+    documents: 40,
+    stamps: 20,
+    consumables: 5
+};
+
+// Each roll adds min..max of the item with the given chance
+export const PICKUP_TABLES = {
+    filingCabinet: [
+        { category: 'documents', item: 'form', chance: 0.8, min: 3, max: 8 },
+        { category: 'documents', item: 'report', chance: 0.5, min: 1, max: 4 },
+        { category: 'documents', item: 'contract', chance: 0.2, min: 1, max: 2 },
+        { category: 'documents', item: 'permit', chance: 0.4, min: 2, max: 4 },
+        { category: 'stamps', item: 'pending', chance: 0.3, min: 2, max: 4 },
+        { category: 'stamps', item: 'confidential', chance: 0.2, min: 1, max: 3 },
+        { category: 'consumables', item: 'donut', chance: 0.3, min: 1, max: 1 },
+        { category: 'consumables', item: 'evaluation', chance: 0.15, min: 1, max: 1 },
+        { category: 'consumables', item: 'stapler', chance: 0.1, min: 1, max: 1 }
+    ],
+    printer: [
+        { category: 'documents', item: 'form', chance: 1, min: 4, max: 8 },
+        { category: 'documents', item: 'memo', chance: 0.6, min: 3, max: 6 },
+        { category: 'stamps', item: 'approved', chance: 0.3, min: 2, max: 4 },
+        { category: 'stamps', item: 'urgent', chance: 0.2, min: 1, max: 2 },
+        { category: 'consumables', item: 'coffee', chance: 0.2, min: 1, max: 1 }
+    ]
+};
@@ -0,0 +1,12 @@
+// maps.js - Registry of loadable office maps
+
+// Spawn points are empty nodes named 'Spawn' or 'Spawn_<name>' in each GLB.
+// Doors and elevators are nodes named 'Door_<mapId>' or 'Elevator_<mapId>'
+// and lead to the 'Spawn_<fromMapId>' point of the target map.
+export const MAPS = {
+    lobby: { name: 'Lobby', file: 'map/Lobby.glb' },
+    office: { name: 'Cubicle Floor', file: 'map/DemoMap.glb' },
+    executive: { name: 'Executive Suite', file: 'map/ExecutiveSuite.glb' }
+};
+
+export const DEFAULT_MAP_ID = 'office';
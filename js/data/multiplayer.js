@@ -0,0 +1,57 @@
+// multiplayer.js - Versus match rules, lobby modes and network tunables
+
+export const MULTIPLAYER_SETTINGS = {
+    port: 8080, // the server's default, `npm run server -- <port>` picks another
+    maxPlayers: 8,
+    minPlayers: 2, // before the host can start
+    snapshotRate: 20, // server state updates per second
+    interpolationDelay: 0.1, // seconds other players are drawn behind the latest update
+    maxQueuedInputs: 30 // steps of movement the server holds per player, more are dropped
+};
+
+// Held actions sent with every step of movement; the server moves each
+// player from these, the rest of what they do is sent as it happens
+export const MOVEMENT_ACTIONS = ['moveForward', 'moveBackward', 'moveLeft', 'moveRight', 'run'];
+
+// Each player starts a match with this instead of their career inventory,
+// which is put back afterwards. Counts stay within data/inventory.js CARRY_LIMITS.
+export const MATCH_LOADOUT = {
+    documents: { form: 40, report: 15, memo: 40, contract: 6, permit: 15 },
+    stamps: { approved: 20, rejected: 20, pending: 10, urgent: 5, confidential: 5 },
+    consumables: { coffee: 2, donut: 2, evaluation: 0, stapler: 1 }
+};
+
+export const MATCH_RULES = {
+    patience: 100, // how much paperwork a player takes before being buried in it
+    respawnTime: 3, // seconds
+    scoreLimit: 10, // players buried, per player or per department
+    timeLimit: 300, // seconds
+    resultsTime: 8 // seconds the final scores show before everyone is back in the lobby
+};
+
+// Free-for-all counts players' scores, departments add up their members'
+export const MATCH_MODES = {
+    freeForAll: { name: 'Free-for-all', teams: false },
+    departments: { name: 'Departments', teams: true }
+};
+
+export const DEPARTMENTS = {
+    accounts: { name: 'Accounts', color: 0x2E7D32 },
+    legal: { name: 'Legal', color: 0x1565C0 },
+    personnel: { name: 'Personnel', color: 0xC62828 },
+    facilities: { name: 'Facilities', color: 0xF9A825 }
+};
+
+// Free-for-all players are told apart by colour, in join order
+export const PLAYER_COLORS = [0xE53935, 0x1E88E5, 0x43A047, 0xFDD835, 0x8E24AA, 0xFB8C00, 0x00ACC1, 0x6D4C41];
+
+// What a stamp does to opponents within its radius. Documents hit for the
+// damage in data/inventory.js. Knockback is m/s away from the stamp, and
+// `effect` a status effect from data/effects.js lasting `duration` seconds.
+export const VERSUS_STAMP_EFFECTS = {
+    approved: { damage: 10 },
+    rejected: { damage: 15, knockback: 6 },
+    pending: { effect: 'onHold', duration: 1.5 },
+    urgent: {},
+    confidential: {}
+};
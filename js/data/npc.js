@@ -0,0 +1,37 @@
+// npc.js - Coworker behaviour tuning and hit reaction data
+
+export const COWORKER_SETTINGS = {
+    walkSpeed: 1.2, // m/s
+    chaseSpeed: 2.2, // m/s
+    fleeSpeed: 3.0, // m/s
+    detectionRadius: 6,
+    giveUpRadius: 12,
+    deliveryRadius: 1.2,
+    minIdleTime: 4, // seconds at the desk before wandering
+    maxIdleTime: 10,
+    coolerTime: 4, // seconds spent at the water cooler
+    paperworkCooldown: 20, // seconds between paperwork deliveries
+    repathInterval: 0.5,
+    composure: 50, // document damage a coworker takes before running off
+    overwhelmedFleeTime: 8 // seconds
+};
+
+export const COWORKER_COLORS = [0x8B6F47, 0x4F6D7A, 0xA05C5C, 0x6B8E5A, 0x7A6A9B];
+
+// How a coworker reacts to being hit by each document type
+export const DOCUMENT_REACTIONS = {
+    form: { stagger: 0.3, knockback: 0.5, nextState: 'chase' },
+    report: { stagger: 0.6, knockback: 1.0, nextState: 'chase' },
+    memo: { stagger: 0.2, knockback: 0.2, nextState: null },
+    contract: { stagger: 1.0, knockback: 2.0, nextState: 'flee' },
+    permit: { stagger: 0.4, knockback: 0.5, nextState: 'return' }
+};
+
+// How coworkers within a stamp's radius react to it, see data/stamps.js
+export const STAMP_REACTIONS = {
+    approved: { nextState: 'return' }, // signed off, back to their desk
+    rejected: { knockback: 2.5, stagger: 0.5, fleeTime: 3 },
+    pending: { effect: 'onHold' },
+    urgent: {},
+    confidential: {}
+};
@@ -0,0 +1,24 @@
+// paperwork.js - Paperwork challenge form generation data
+
+// Stamp types that can appear on a form at each difficulty tier
+export const PAPERWORK_TIERS = {
+    'Basic Form': { stamps: ['approved', 'rejected'] },
+    'Complex Application': { stamps: ['approved', 'rejected', 'pending'] },
+    'Regulatory Compliance': { stamps: ['approved', 'rejected', 'pending', 'confidential'] },
+    'Budget Approval': { stamps: ['approved', 'rejected', 'pending', 'urgent'] },
+    'Policy Amendment': { stamps: ['approved', 'rejected', 'pending', 'urgent', 'confidential'] }
+};
+
+// Field wording hints at the stamp it needs
+export const FIELD_TEMPLATES = {
+    approved: ['Receipts attached', 'Signed in triplicate', 'Within budget', 'Cover sheet complete'],
+    rejected: ['Signature missing', 'Wrong form number', 'Filled in with pencil', 'Submitted after deadline'],
+    pending: ['Awaiting manager review', 'Needs a second opinion', 'Attachment to follow', 'Committee meets next week'],
+    urgent: ['Due by end of day', 'The director is asking', 'Auditors arrive tomorrow', 'Payroll run is tonight'],
+    confidential: ['Contains salary figures', 'Personnel matter', 'Merger details enclosed', 'Legal has not cleared it']
+};
+
+export const PAPERWORK_SETTINGS = {
+    passScore: 0.6, // fraction of fields stamped correctly to pass
+    maxFields: 9 // fields are stamped with the number keys
+};
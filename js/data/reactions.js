@@ -0,0 +1,106 @@
+// reactions.js - What the game does in response to gameplay events
+
+// Each event maps to a list of reactions. A reaction only runs when every
+// field in `when` equals the same field of the event detail.
+//   sound:     sound name from sounds/manifest.json
+//   at:        detail field holding the world position of a positional sound
+//   duckMusic: true lowers the music, false brings it back
+//   effect:    visual effect registered with EventReactions.registerEffect
+//   message:   HUD toast, {field} or {field.sub} is filled in from the detail
+//   style:     toast style, info (default), success or failure
+export const EVENT_REACTIONS = {
+    footstep: [
+        { sound: 'footstep', at: 'position' }
+    ],
+    documentThrown: [
+        { sound: 'documentThrow', at: 'position' }
+    ],
+    documentLanded: [
+        { sound: 'documentHit', at: 'point', effect: 'documentHit' }
+    ],
+    stampUsed: [
+        { sound: 'stampUse', at: 'position' }
+    ],
+    stampFailed: [
+        { when: { reason: 'ink' }, message: 'Out of {stampType} stamps' },
+        { when: { reason: 'stamina' }, message: 'Too tired to stamp', style: 'failure' }
+    ],
+    paperworkDelivered: [
+        { sound: 'paperRustle' }
+    ],
+    combatChanged: [
+        { when: { active: true }, sound: 'combatStart', duckMusic: true },
+        { when: { active: false }, sound: 'combatEnd', duckMusic: false }
+    ],
+    challengeStarted: [
+        { sound: 'paperRustle', message: '{challenge.type} received' }
+    ],
+    challengeResolved: [
+        { when: { success: true }, sound: 'stampHit', message: '{challenge.type} approved', style: 'success' },
+        { when: { success: false }, message: '{challenge.type} failed', style: 'failure' }
+    ],
+    playerPromoted: [
+        { sound: 'promotion', message: 'Promoted to {rank}!', style: 'success' }
+    ],
+    interacted: [
+        { when: { type: 'waterCooler', result: 'refreshed' }, sound: 'waterCooler', at: 'position', message: 'Refreshed (+{amount} stamina)' },
+        { when: { type: 'waterCooler', result: 'empty' }, message: 'The water cooler is still refilling' },
+        { when: { type: 'filingCabinet', result: 'found' }, sound: 'paperRustle', message: 'Found {items}', style: 'success' },
+        { when: { type: 'filingCabinet', result: 'empty' }, sound: 'paperRustle', message: 'Nothing left but old TPS reports' },
+        { when: { type: 'printer', result: 'found' }, sound: 'paperRustle', message: 'Collected {items}', style: 'success' },
+        { when: { type: 'printer', result: 'empty' }, message: 'The printer is still warming up' },
+        { when: { result: 'full' }, message: 'You can\'t carry any more' },
+        { when: { type: 'copier', result: 'copied' }, sound: 'paperRustle', message: 'Copied the form (+{amount}s)' },
+        { when: { type: 'copier', result: 'idle' }, message: 'Nothing to copy' }
+    ],
+    consumableUsed: [
+        { message: 'Used {item}' }
+    ],
+    coworkerOverwhelmed: [
+        { sound: 'paperRustle', at: 'position' }
+    ],
+    playerDemoted: [
+        { message: 'Demoted to {rank}', style: 'failure' }
+    ],
+    recordingChanged: [
+        { when: { recording: true }, message: 'Recording started' },
+        { when: { recording: false }, message: 'Recording saved ({duration}s)', style: 'success' }
+    ],
+    replayDiverged: [
+        { message: 'Replay out of sync', style: 'failure' }
+    ],
+    replayError: [
+        { message: 'Could not play replay: {message}', style: 'failure' }
+    ],
+    remoteDocumentThrown: [
+        { sound: 'documentThrow', at: 'position' }
+    ],
+    remoteStampUsed: [
+        { sound: 'stampUse', at: 'position' }
+    ],
+    matchStarted: [
+        { message: '{modeName} on {mapName}, first to {scoreLimit}' }
+    ],
+    matchHit: [
+        { when: { kind: 'document', byMe: false }, sound: 'documentHit', at: 'point', effect: 'documentHit' },
+        { when: { onMe: true }, message: '{attackerName}\'s {item} (-{damage} patience)', style: 'failure' }
+    ],
+    playerEliminated: [
+        { when: { byMe: true }, sound: 'stampHit', message: 'You buried {targetName} in paperwork', style: 'success' },
+        { when: { onMe: true }, message: '{attackerName} buried you in paperwork', style: 'failure' },
+        { when: { byMe: false, onMe: false }, message: '{attackerName} buried {targetName} in paperwork' }
+    ],
+    playerLeftMatch: [
+        { message: '{name} left the match' }
+    ],
+    matchEnded: [
+        { when: { won: true, teams: false }, sound: 'promotion', message: 'You won the match!', style: 'success' },
+        { when: { won: true, teams: true }, sound: 'promotion', message: 'Your department won the match!', style: 'success' },
+        { when: { won: false, tie: true, interrupted: false }, message: 'The match is a draw' },
+        { when: { won: false, tie: false, interrupted: false }, message: '{winnerName} won the match', style: 'failure' },
+        { when: { interrupted: true }, message: 'Left the match' }
+    ],
+    multiplayerError: [
+        { message: '{message}', style: 'failure' }
+    ]
+};
@@ -0,0 +1,20 @@
+// replay.js - Input recording and replay tunables
+
+// A replay file is { version, header, frames }. Each frame holds only what
+// changed since the frame before it:
+//   d: frame time in seconds        q: head quaternion [x, y, z, w]
+//   h: actions held down            m, l: move and look stick [x, y]
+//   a: actions performed before the frame
+//   p: player eye position [x, y, z], every checkpointInterval frames
+//   w: hash of the world besides the player, alongside p (Simulation.getWorldHash)
+export const REPLAY_VERSION = 1;
+
+export const REPLAY_SETTINGS = {
+    checkpointInterval: 30, // frames between recorded player positions
+    checkpointPrecision: 1000, // positions are rounded to millimetres
+    divergenceThreshold: 0.05, // metres off a checkpoint before a replay counts as diverged
+    speeds: [0.25, 0.5, 1, 2, 4], // playback speed choices
+    seekStep: 5, // seconds skipped back or forward
+    freeCameraSpeed: 6, // m/s, doubled while running
+    maxDuration: 600 // seconds, recording stops by itself after this
+};
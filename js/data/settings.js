@@ -0,0 +1,59 @@
+// settings.js - Graphics quality presets and player option defaults
+
+// shadowType is one of none, basic, pcf or pcfSoft. pixelRatio caps the
+// device pixel ratio, drawDistance is the camera's far plane in metres.
+export const QUALITY_PRESETS = {
+    low: {
+        name: 'Low',
+        shadowType: 'none',
+        shadowMapSize: 512,
+        pixelRatio: 0.75,
+        antialias: false,
+        drawDistance: 40
+    },
+    medium: {
+        name: 'Medium',
+        shadowType: 'basic',
+        shadowMapSize: 1024,
+        pixelRatio: 1,
+        antialias: false,
+        drawDistance: 80
+    },
+    high: {
+        name: 'High',
+        shadowType: 'pcf',
+        shadowMapSize: 2048,
+        pixelRatio: 1.5,
+        antialias: true,
+        drawDistance: 200
+    },
+    ultra: {
+        name: 'Ultra',
+        shadowType: 'pcfSoft',
+        shadowMapSize: 4096,
+        pixelRatio: 2,
+        antialias: true,
+        drawDistance: 1000
+    }
+};
+
+// Volumes are 0-1 and feed the audio buses, sensitivity scales mouse look
+export const DEFAULT_SETTINGS = {
+    quality: 'high',
+    sensitivity: 1,
+    fov: 75, // degrees, vertical
+    masterVolume: 1,
+    sfxVolume: 0.5,
+    musicVolume: 0.3,
+    ambienceVolume: 0.4
+};
+
+// Slider ranges in the settings menu
+export const SETTING_RANGES = {
+    sensitivity: { label: 'Mouse sensitivity', min: 0.2, max: 3, step: 0.1 },
+    fov: { label: 'Field of view', min: 60, max: 110, step: 1 },
+    masterVolume: { label: 'Master volume', min: 0, max: 1, step: 0.05 },
+    sfxVolume: { label: 'Sound effects', min: 0, max: 1, step: 0.05 },
+    musicVolume: { label: 'Music', min: 0, max: 1, step: 0.05 },
+    ambienceVolume: { label: 'Ambience', min: 0, max: 1, step: 0.05 }
+};
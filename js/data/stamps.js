@@ -0,0 +1,19 @@
+// stamps.js - Stamp abilities used with right click
+
+// Every use costs one stamp of ink from the inventory plus stamina, and
+// starts that stamp's own cooldown. Coworkers within `radius` of where the
+// stamp lands react as set in STAMP_REACTIONS in data/npc.js, `playerEffect`
+// is a status effect from data/effects.js given to the player.
+export const STAMP_ABILITIES = {
+    approved: { color: 0x00FF00, cooldown: 3, staminaCost: 5, radius: 2 },
+    rejected: { color: 0xFF0000, cooldown: 5, staminaCost: 15, radius: 3 },
+    pending: { color: 0xFFFF00, cooldown: 8, staminaCost: 20, radius: 2.5 },
+    urgent: { color: 0xFF00FF, cooldown: 12, staminaCost: 15, radius: 0, playerEffect: 'rushed' },
+    confidential: { color: 0x0000FF, cooldown: 15, staminaCost: 25, radius: 0, playerEffect: 'classified' }
+};
+
+// The ring that spreads out over the area a stamp affects
+export const STAMP_EFFECT_SETTINGS = {
+    duration: 0.6, // seconds
+    minRadius: 0.6 // rings of self-targeted stamps still show
+};
@@ -15,40 +15,6 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
-    // Get the instruction overlay
-    const overlay = document.getElementById('instruction-overlay');
-    
-    // Initialize game
-    const game = new Game();
-    
-    // Handle pointer lock changes
-    document.addEventListener('pointerlockchange', () => {
-        if (document.pointerLockElement) {
-            overlay.style.display = 'none';
-            game.resume();
-        } else {
-            overlay.style.display = 'flex';
-            game.pause();
-        }
-    });
-    
-    // Pointer lock on click
-    overlay.addEventListener('click', () => {
-        if (!document.pointerLockElement) {
-            game.player.controls.lock();
-        }
-    });
-    
-    // Start game loop
-    function gameLoop() {
-        game.update();
-        requestAnimationFrame(gameLoop);
-    }
-    
-    gameLoop();
-    
-    // Handle window resize
-    window.addEventListener('resize', () => {
-        game.onWindowResize();
-    });
-}); 
\ No newline at end of file
+    // The game owns its loop, screens and pointer lock from here on
+    new Game();
+});
@@ -0,0 +1,145 @@
+// check-match.js - Checks the match server's rules on a ServerMatch driven directly: hits, bad input and movement time
+import * as THREE from 'three';
+import { ServerMatch } from '../server/ServerMatch.js';
+import { DOCUMENT_TYPES } from '../js/data/inventory.js';
+import { MATCH_RULES } from '../js/data/multiplayer.js';
+import { buildTestMap } from './check-determinism.js';
+
+const STEP = 1 / 60;
+const FACING_NORTH = [0, 0, 0, 1]; // the head's quaternion looking along -z
+
+const failures = [];
+
+function expect(description, actual, expected) {
+    if (actual !== expected) {
+        failures.push(`${description}: expected ${expected}, got ${actual}`);
+    }
+}
+
+// A free-for-all between two clerks on the test map; `messages` collects
+// everything the match would have sent the clients
+function startMatch(seed = 1) {
+    const messages = [];
+    const match = new ServerMatch({
+        mapId: 'test',
+        model: buildTestMap(),
+        mode: 'freeForAll',
+        seed,
+        players: [
+            { id: 1, name: 'Alice', department: 'accounts' },
+            { id: 2, name: 'Bob', department: 'legal' }
+        ],
+        broadcast: (type, data) => messages.push({ type, ...data })
+    });
+    return { match, messages };
+}
+
+function place(match, id, position) {
+    match.players.get(id).player.teleport(new THREE.Vector3(...position), 0);
+}
+
+function advance(match, seconds, eachStep = () => {}) {
+    const steps = Math.round(seconds / STEP);
+    for (let i = 0; i < steps; i++) {
+        eachStep();
+        match.update(STEP);
+    }
+}
+
+// The same seed puts the first player on the same spawn point
+function checkSeededSpawns() {
+    const spawnOf = (seed) => {
+        const { match } = startMatch(seed);
+        return match.players.get(1).player.getFeetPosition().toArray().join();
+    };
+    expect('First spawn from the same seed', spawnOf(11), spawnOf(11));
+}
+
+// The server flies the document from where it has the thrower and decides what it hit
+function checkAuthoritativeHits() {
+    const { match, messages } = startMatch();
+    place(match, 1, [0, 0, 5]);
+    place(match, 2, [0, 0, 0]);
+    const speed = DOCUMENT_TYPES.form.speed;
+
+    // Thrown the wrong way first, that one only finds the wall behind
+    match.throwDocument(1, { documentType: 'form', velocity: [0, 0, speed] });
+    match.throwDocument(1, { documentType: 'form', velocity: [0, 0, -speed] });
+    advance(match, 1);
+
+    const hits = messages.filter(message => message.type === 'hit');
+    expect('Hits from two throws, one at Bob', hits.length, 1);
+    if (hits.length > 0) {
+        expect('Attacker of the hit', hits[0].attacker, 1);
+        expect('Target of the hit', hits[0].target, 2);
+        expect('Damage of the hit', hits[0].damage, DOCUMENT_TYPES.form.damage);
+    }
+    expect("Bob's patience after one form", match.players.get(2).patience, MATCH_RULES.patience - DOCUMENT_TYPES.form.damage);
+    expect('Documents still in flight', match.projectiles.length, 0);
+}
+
+// Unknown keys, garbage numbers and out of range requests are dropped or clamped
+function checkBadInput() {
+    const { match, messages } = startMatch();
+    place(match, 1, [0, 0, 5]);
+    place(match, 2, [0, 0, -5]);
+
+    ['constructor', 'toString', '__proto__', 'shredder'].forEach(type => {
+        match.throwDocument(1, { documentType: type, velocity: [0, 0, -1] });
+        match.useStamp(1, { stampType: type, position: [0, 0, 4] });
+        match.applyEffect(1, { effect: type });
+    });
+    expect('Messages after unknown document, stamp and effect types', messages.length, 0);
+
+    match.throwDocument(1, { documentType: 'memo', velocity: ['fast', null, {}] });
+    match.throwDocument(1, { documentType: 'memo', velocity: [1e9, 0, 0] });
+    const thrown = messages.filter(message => message.type === 'projectile');
+    expect('Throws let through with bad velocities', thrown.length, 2);
+    expect('Throw velocities are all numbers', thrown.every(message => message.velocity.every(Number.isFinite)), true);
+    expect('Fastest throw within twice the memo speed',
+        Math.max(...thrown.map(message => new THREE.Vector3(...message.velocity).length())) <= DOCUMENT_TYPES.memo.speed * 2, true);
+
+    const stamps = () => messages.filter(message => message.type === 'stamp').length;
+    match.useStamp(1, { stampType: 'approved', position: [0, 0, -40] });
+    expect('Stamps out of reach', stamps(), 0);
+    match.useStamp(1, { stampType: 'approved', position: [0, 0, 4] });
+    match.useStamp(1, { stampType: 'approved', position: [0, 0, 4] });
+    expect('Stamps let through within one cooldown', stamps(), 1);
+}
+
+// Runs one player forward for `seconds`, sending `stepsPerTick` full steps a tick
+function runForward(seconds, stepsPerTick) {
+    const { match } = startMatch();
+    place(match, 1, [0, 0, 10]);
+    place(match, 2, [10, 0, 10]);
+
+    let sequence = 0;
+    advance(match, seconds, () => {
+        for (let i = 0; i < stepsPerTick; i++) {
+            match.queueInput(1, { s: ++sequence, d: STEP, h: ['moveForward'], m: [0, 0], q: FACING_NORTH, j: false });
+        }
+    });
+    return 10 - match.players.get(1).player.getFeetPosition().z;
+}
+
+// Sending ten steps a tick moves hardly further than sending one
+function checkMovementTime() {
+    const honest = runForward(2, 1);
+    const flooded = runForward(2, 10);
+    expect('Honest client moves', honest > 1, true);
+    if (flooded > honest * 1.2) {
+        failures.push(`Ten steps a tick went ${flooded.toFixed(2)} m, one a tick ${honest.toFixed(2)} m`);
+    }
+}
+
+checkSeededSpawns();
+checkAuthoritativeHits();
+checkBadInput();
+checkMovementTime();
+
+if (failures.length > 0) {
+    console.error('Match checks failed:');
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+}
+console.log('The match server decides hits, rejects bad input and caps movement time');
@@ -0,0 +1,113 @@
+// check-rules.js - Checks combat and career rules on headless games: hits, challenge grading, promotion and demotion
+import * as THREE from 'three';
+import { HeadlessGame } from '../js/HeadlessGame.js';
+import { DOCUMENT_TYPES } from '../js/data/inventory.js';
+import { COWORKER_SETTINGS } from '../js/data/npc.js';
+import { CAREER_RANKS, CAREER_SETTINGS } from '../js/data/career.js';
+import { buildTestMap } from './check-determinism.js';
+
+const failures = [];
+
+function expect(description, actual, expected) {
+    if (actual !== expected) {
+        failures.push(`${description}: expected ${expected}, got ${actual}`);
+    }
+}
+
+function startGame(seed) {
+    const game = new HeadlessGame({ seed });
+    game.loadMap(buildTestMap());
+    // The test map is one big encounter, a step in and combat is on
+    game.advance(0.5);
+    return game;
+}
+
+// A form thrown at a coworker four metres ahead hits it for the form's damage
+function checkDocumentHit() {
+    const game = startGame(3);
+    const npc = game.npcs.npcs[0];
+    const forms = game.player.inventory.count('documents', 'form');
+
+    game.run([
+        // Facing along -z, straight at the coworker
+        { at: 0, call: () => game.player.teleport(npc.position.clone().add(new THREE.Vector3(0, 0, 4)), 0) },
+        { at: 0, tap: 'slot1' },
+        { at: 0.1, tap: 'throw' }
+    ], 1);
+
+    expect('Combat is on in the encounter', game.combat.combatActive, true);
+    expect('Forms left after one throw', game.player.inventory.count('documents', 'form'), forms - 1);
+    expect('Coworker composure after a form hit', npc.composure, COWORKER_SETTINGS.composure - DOCUMENT_TYPES.form.damage);
+    game.dispose();
+}
+
+// Stamps every field of a new challenge, the right stamp on the first
+// `correct` fields and a wrong one on the rest, then submits it
+function playChallenge(game, correct) {
+    const challenge = game.combat.createChallenge();
+    const fields = challenge.form.fields;
+    fields.forEach((field, index) => {
+        const wrong = field.requiredStamp === 'approved' ? 'rejected' : 'approved';
+        while (game.combat.selectedStampType !== (index < correct ? field.requiredStamp : wrong)) {
+            game.performAction('cycleStamp');
+        }
+        game.performAction(`slot${index + 1}`);
+    });
+    game.performAction('submitChallenge');
+    return { reward: challenge.reward, fieldCount: fields.length };
+}
+
+// A passed challenge earns its reward and a level; the level that reaches
+// the next rank's threshold promotes
+function checkPromotion() {
+    const game = startGame(5);
+    const career = game.player.career;
+    const junior = CAREER_RANKS[1];
+    career.setBureaucracyLevel(junior.minLevel - 1);
+
+    let promotedTo = null;
+    career.addEventListener('promoted', (event) => {
+        promotedTo = event.detail.rank;
+    });
+
+    const influence = career.influence;
+    const { reward } = playChallenge(game, Infinity);
+
+    expect('Open challenge after submitting', game.combat.activeChallenge, null);
+    expect('Influence after a perfect form', career.influence, influence + reward);
+    expect('Level after a passed challenge', career.bureaucracyLevel, junior.minLevel);
+    expect('Rank after reaching the threshold', career.rank, junior.title);
+    expect('Promotion event', promotedTo, junior.title);
+    game.dispose();
+}
+
+// A form with too few right stamps fails, and enough failures in a row
+// demote to the start of the rank below
+function checkDemotion() {
+    const game = startGame(9);
+    const career = game.player.career;
+    career.setBureaucracyLevel(CAREER_RANKS[1].minLevel + 5);
+    career.rankIndex = 1;
+
+    const influence = career.influence;
+    for (let i = 0; i < CAREER_SETTINGS.failuresBeforeDemotion; i++) {
+        playChallenge(game, 0);
+    }
+
+    expect('Influence after failed forms', career.influence, influence);
+    expect('Rank after repeated failures', career.rank, CAREER_RANKS[0].title);
+    expect('Level after demotion', career.bureaucracyLevel, CAREER_RANKS[0].minLevel);
+    expect('Failure streak after demotion', career.failureStreak, 0);
+    game.dispose();
+}
+
+checkDocumentHit();
+checkPromotion();
+checkDemotion();
+
+if (failures.length > 0) {
+    console.error('Rule checks failed:');
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+}
+console.log('Combat and career rules hold');
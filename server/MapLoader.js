@@ -0,0 +1,82 @@
+// MapLoader.js - Reads the office GLB maps in Node for their colliders and markers
+import { readFile } from 'fs/promises';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+// Textures need a browser to decode. The server only walks into the map,
+// so images, textures and anything referring to them are taken out and
+// materials are left plain; the geometry stays exactly as the clients have it.
+export function stripTextures(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('Not a GLB file');
+    }
+
+    let json = null;
+    let binary = null;
+    for (let offset = 12; offset < view.byteLength;) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const chunk = data.subarray(offset + 8, offset + 8 + length);
+        if (type === CHUNK_JSON) {
+            json = JSON.parse(new TextDecoder().decode(chunk));
+        } else if (type === CHUNK_BIN) {
+            binary = chunk;
+        }
+        offset += 8 + length;
+    }
+
+    delete json.images;
+    delete json.textures;
+    delete json.samplers;
+    if (json.materials) {
+        json.materials = json.materials.map(({ name, doubleSided }) => ({ name, doubleSided }));
+    }
+    ['extensionsUsed', 'extensionsRequired'].forEach(key => {
+        if (json[key]) {
+            json[key] = json[key].filter(name => !/texture/i.test(name));
+        }
+    });
+
+    return encodeGLB(json, binary);
+}
+
+function encodeGLB(json, binary) {
+    // Chunks are padded to four bytes, JSON with spaces and binary with zeros
+    const text = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(text.length / 4) * 4;
+    const binaryLength = binary ? Math.ceil(binary.length / 4) * 4 : 0;
+    const total = 12 + 8 + jsonLength + (binary ? 8 + binaryLength : 0);
+
+    const bytes = new Uint8Array(total);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(text, 20);
+
+    if (binary) {
+        const offset = 20 + jsonLength;
+        view.setUint32(offset, binaryLength, true);
+        view.setUint32(offset + 4, CHUNK_BIN, true);
+        bytes.set(binary, offset + 8);
+    }
+    return bytes.buffer;
+}
+
+// Resolves with the map's scene, named like the GLB the browser loads
+export async function loadMapModel(file) {
+    const data = await readFile(file);
+    const glb = stripTextures(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+
+    return new Promise((resolve, reject) => {
+        new GLTFLoader().parse(glb, '', (gltf) => resolve(gltf.scene), reject);
+    });
+}
@@ -0,0 +1,367 @@
+// MatchServer.js - WebSocket server running the lobby and one versus match at a time
+import { WebSocketServer } from 'ws';
+import { ServerMatch } from './ServerMatch.js';
+import { MAPS, DEFAULT_MAP_ID } from '../js/data/maps.js';
+import { MULTIPLAYER_SETTINGS, MATCH_MODES, MATCH_RULES, DEPARTMENTS } from '../js/data/multiplayer.js';
+
+const MAX_NAME_LENGTH = 16;
+
+// Messages are JSON objects with a `type`. Clients say hello with a name,
+// then the host sets the mode and map, everyone picks a department for team
+// matches and says they're ready, and the host starts. During a match
+// clients send their steps of input and what they threw, stamped and used.
+export class MatchServer {
+    // loadMap(mapId) resolves with the map's model, see MapLoader.js
+    constructor({ port = MULTIPLAYER_SETTINGS.port, loadMap, settings = MULTIPLAYER_SETTINGS, rules = MATCH_RULES } = {}) {
+        this.port = port;
+        this.loadMap = loadMap;
+        this.settings = settings;
+        this.rules = rules;
+
+        this.clients = new Map(); // id -> { id, socket, name, department, ready }
+        this.nextId = 1;
+        this.hostId = null;
+        this.mode = Object.keys(MATCH_MODES)[0];
+        this.mapId = DEFAULT_MAP_ID;
+        this.state = 'lobby'; // lobby, starting, playing or results
+        this.match = null;
+        this.models = {}; // mapId -> loaded model, maps are only read once
+        this.timer = null;
+        this.lastTick = 0;
+        this.resultsTimeout = null;
+    }
+
+    // Rejects when the port can't be used, e.g. another server already has it
+    start() {
+        this.server = new WebSocketServer({ port: this.port });
+        this.server.on('connection', (socket) => this.onConnection(socket));
+        return new Promise((resolve, reject) => {
+            let listening = false;
+            this.server.on('listening', () => {
+                listening = true;
+                console.log(`Match server listening on ws://localhost:${this.port}`);
+                resolve(this);
+            });
+            this.server.on('error', (error) => {
+                if (!listening) {
+                    reject(error);
+                    return;
+                }
+                console.error('Match server error:', error.message);
+            });
+        });
+    }
+
+    stop() {
+        this.stopTicking();
+        clearTimeout(this.resultsTimeout);
+        this.clients.forEach(client => client.socket.close());
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    onConnection(socket) {
+        let client = null;
+
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                return;
+            }
+            if (!message || typeof message.type !== 'string') return;
+
+            // A message that breaks the server costs its sender the connection, not everyone their match
+            try {
+                if (!client) {
+                    if (message.type === 'hello') {
+                        client = this.join(socket, message.name);
+                    }
+                    return;
+                }
+                this.handleMessage(client, message);
+            } catch (e) {
+                console.error(`Dropping ${client ? client.name : 'a client'} after a bad ${message.type} message:`, e);
+                socket.terminate();
+            }
+        });
+
+        // Broken frames, e.g. unmasked ones, end only that connection
+        socket.on('error', (error) => {
+            console.warn(`Dropping ${client ? client.name : 'a client'}: ${error.message}`);
+            socket.terminate();
+        });
+
+        socket.on('close', () => {
+            if (client) {
+                this.leave(client);
+            }
+        });
+    }
+
+    join(socket, name) {
+        if (this.clients.size >= this.settings.maxPlayers) {
+            this.sendTo(socket, 'error', { message: 'The server is full' });
+            socket.close();
+            return null;
+        }
+        if (this.state !== 'lobby') {
+            this.sendTo(socket, 'error', { message: 'A match is being played, try again when it ends' });
+            socket.close();
+            return null;
+        }
+
+        const id = this.nextId++;
+        const client = {
+            id,
+            socket,
+            name: String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Clerk ${id}`,
+            department: this.getSmallestDepartment(),
+            ready: false
+        };
+        this.clients.set(id, client);
+        if (this.hostId === null) {
+            this.hostId = id;
+        }
+
+        console.log(`${client.name} joined`);
+        this.sendTo(socket, 'welcome', { id, lobby: this.getLobby() });
+        this.broadcastLobby();
+        return client;
+    }
+
+    leave(client) {
+        this.clients.delete(client.id);
+        console.log(`${client.name} left`);
+
+        if (this.hostId === client.id) {
+            const next = this.clients.values().next().value;
+            this.hostId = next ? next.id : null;
+        }
+
+        if (this.match) {
+            this.match.removePlayer(client.id);
+            if (this.match.players.size < this.settings.minPlayers) {
+                this.match.finish();
+            }
+        }
+        this.broadcastLobby();
+    }
+
+    handleMessage(client, message) {
+        const isHost = client.id === this.hostId;
+
+        switch (message.type) {
+            case 'configure':
+                if (!isHost || this.state !== 'lobby') return;
+                if (Object.hasOwn(MATCH_MODES, message.mode)) {
+                    this.mode = message.mode;
+                }
+                if (Object.hasOwn(MAPS, message.mapId)) {
+                    this.mapId = message.mapId;
+                }
+                this.broadcastLobby();
+                break;
+            case 'department':
+                if (this.state !== 'lobby' || !Object.hasOwn(DEPARTMENTS, message.department)) return;
+                client.department = message.department;
+                this.broadcastLobby();
+                break;
+            case 'ready':
+                if (this.state !== 'lobby') return;
+                client.ready = Boolean(message.ready);
+                this.broadcastLobby();
+                break;
+            case 'start':
+                if (isHost) {
+                    this.startMatch(client).catch((error) => {
+                        console.error('Failed to start the match:', error);
+                        this.cancelStart(client, 'The server could not start the match');
+                    });
+                }
+                break;
+            case 'input':
+                if (this.match) {
+                    this.match.queueInput(client.id, message);
+                }
+                break;
+            case 'throw':
+                if (this.match) {
+                    this.match.throwDocument(client.id, message);
+                }
+                break;
+            case 'stamp':
+                if (this.match) {
+                    this.match.useStamp(client.id, message);
+                }
+                break;
+            case 'effect':
+                if (this.match) {
+                    this.match.applyEffect(client.id, message);
+                }
+                break;
+        }
+    }
+
+    // Why the host can't start yet, or null
+    getStartProblem() {
+        if (this.state !== 'lobby') return 'A match is already on';
+        return this.getPlayersProblem();
+    }
+
+    // Why the players in the lobby can't play a match together, or null
+    getPlayersProblem() {
+        const clients = [...this.clients.values()];
+        if (clients.length < this.settings.minPlayers) return `At least ${this.settings.minPlayers} players are needed`;
+        if (clients.some(client => client.id !== this.hostId && !client.ready)) return 'Everyone has to be ready';
+        if (MATCH_MODES[this.mode].teams && new Set(clients.map(client => client.department)).size < 2) {
+            return 'Players have to be in at least two departments';
+        }
+        return null;
+    }
+
+    async startMatch(host) {
+        const problem = this.getStartProblem();
+        if (problem) {
+            this.sendTo(host.socket, 'error', { message: problem });
+            return;
+        }
+
+        this.state = 'starting';
+        this.broadcastLobby();
+
+        const mapId = this.mapId;
+        try {
+            if (!this.models[mapId]) {
+                this.models[mapId] = await this.loadMap(mapId);
+            }
+        } catch (e) {
+            console.error(`Failed to load map ${mapId}:`, e);
+            this.cancelStart(host, `The server could not load ${MAPS[mapId].name}`);
+            return;
+        }
+
+        // Anyone who left while the map loaded is already gone from the list,
+        // and those still here may no longer be enough for a match
+        const playersProblem = this.getPlayersProblem();
+        if (playersProblem) {
+            this.cancelStart(host, playersProblem);
+            return;
+        }
+
+        const players = [...this.clients.values()].map(({ id, name, department }) => ({ id, name, department }));
+        this.match = new ServerMatch({
+            mapId,
+            model: this.models[mapId].clone(),
+            mode: this.mode,
+            players,
+            rules: this.rules,
+            settings: this.settings,
+            broadcast: (type, data) => this.broadcast(type, data),
+            onPlayerError: (id, error) => this.dropPlayer(id, error),
+            onFinished: () => this.endMatch()
+        });
+        this.state = 'playing';
+        console.log(`Match started on ${MAPS[mapId].name}, seed ${this.match.seed}`);
+
+        this.broadcast('matchStarted', {
+            mode: this.mode,
+            mapId,
+            rules: this.rules,
+            players: players.map(player => {
+                const entry = this.match.players.get(player.id);
+                return { ...player, position: entry.player.getFeetPosition().toArray(), yaw: entry.player.head.rotation.y };
+            })
+        });
+        this.broadcastLobby();
+        this.startTicking();
+    }
+
+    // Back to the lobby from a start that didn't work out
+    cancelStart(host, message) {
+        this.stopTicking();
+        this.match = null;
+        this.state = 'lobby';
+        this.sendTo(host.socket, 'error', { message });
+        this.broadcastLobby();
+    }
+
+    // The match already took out a player whose steps broke it, their connection goes too
+    dropPlayer(id, error) {
+        const client = this.clients.get(id);
+        console.error(`Dropping ${client ? client.name : `player ${id}`} after a bad step of input:`, error);
+        if (client) {
+            client.socket.terminate();
+        }
+    }
+
+    endMatch() {
+        this.stopTicking();
+        this.match = null;
+        this.state = 'results';
+        this.broadcastLobby();
+
+        // Everyone is back in the lobby and has to ready up again
+        this.resultsTimeout = setTimeout(() => {
+            this.state = 'lobby';
+            this.clients.forEach(client => {
+                client.ready = false;
+            });
+            this.broadcastLobby();
+        }, this.rules.resultsTime * 1000);
+    }
+
+    startTicking() {
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => this.tick(), 1000 / this.settings.snapshotRate);
+    }
+
+    stopTicking() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick() {
+        const now = performance.now();
+        const deltaTime = (now - this.lastTick) / 1000;
+        this.lastTick = now;
+
+        this.match.update(deltaTime);
+        if (this.match) {
+            this.broadcast('snapshot', this.match.snapshot());
+        }
+    }
+
+    getSmallestDepartment() {
+        const counts = Object.keys(DEPARTMENTS).map(department => ({
+            department,
+            count: [...this.clients.values()].filter(client => client.department === department).length
+        }));
+        counts.sort((a, b) => a.count - b.count);
+        return counts[0].department;
+    }
+
+    getLobby() {
+        return {
+            state: this.state,
+            mode: this.mode,
+            mapId: this.mapId,
+            hostId: this.hostId,
+            startProblem: this.getStartProblem(),
+            players: [...this.clients.values()].map(({ id, name, department, ready }) => ({ id, name, department, ready }))
+        };
+    }
+
+    broadcastLobby() {
+        this.broadcast('lobby', { lobby: this.getLobby() });
+    }
+
+    broadcast(type, data) {
+        const json = JSON.stringify({ type, ...data });
+        this.clients.forEach(client => client.socket.send(json));
+    }
+
+    sendTo(socket, type, data) {
+        socket.send(JSON.stringify({ type, ...data }));
+    }
+}
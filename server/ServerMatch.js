@@ -0,0 +1,456 @@
+// ServerMatch.js - One versus match: the players' movement, documents in flight, stamps, hits and scores
+import * as THREE from 'three';
+import { Office } from '../js/Office.js';
+import { Player } from '../js/Player.js';
+import { ScriptedInput } from '../js/ScriptedInput.js';
+import { createRandom } from '../js/Random.js';
+import { DOCUMENT_TYPES, CONSUMABLES } from '../js/data/inventory.js';
+import { STAMP_ABILITIES } from '../js/data/stamps.js';
+import {
+    MULTIPLAYER_SETTINGS,
+    MOVEMENT_ACTIONS,
+    MATCH_MODES,
+    MATCH_RULES,
+    VERSUS_STAMP_EFFECTS
+} from '../js/data/multiplayer.js';
+
+const HIT_RADIUS = 0.35; // the player capsule's, documents and stamps hit within it
+const PROJECTILE_LIFETIME = 2; // seconds, as on the clients
+const MAX_PROJECTILES = 5; // in flight per player, as on the clients
+const MAX_THROW_SPEED = 2; // times the document's speed, lobbed throws are faster than it
+const STAMP_REACH = 8; // metres from the eyes, the clients' stamp range and some lag
+const COOLDOWN_SLACK = 0.25; // seconds early a stamp is still let through
+const MAX_STEP = 1 / 30; // longest step of movement a client may send
+const MOVE_ALLOWANCE = 0.25; // seconds a client's steps may run ahead of or bank behind the match clock
+
+// Effects a player can give themselves with a consumable
+const CONSUMABLE_EFFECTS = new Set(Object.values(CONSUMABLES).map(consumable => consumable.effect).filter(Boolean));
+
+// Numbers out of a client message, anything else becomes 0
+function readNumbers(value, length) {
+    const numbers = [];
+    for (let i = 0; i < length; i++) {
+        const number = Array.isArray(value) ? Number(value[i]) : NaN;
+        numbers.push(Number.isFinite(number) ? number : 0);
+    }
+    return numbers;
+}
+
+// Every player is the same Player the clients predict with, moved by the
+// steps of input they send, so the two agree unless something hit them
+export class ServerMatch {
+    constructor({ mapId, model, mode, players, broadcast, seed = Date.now(), onPlayerError = () => {}, onFinished = () => {}, rules = MATCH_RULES, settings = MULTIPLAYER_SETTINGS }) {
+        this.mapId = mapId;
+        this.mode = mode;
+        this.teams = MATCH_MODES[mode].teams;
+        this.rules = rules;
+        this.settings = settings;
+        this.broadcast = broadcast;
+        this.onPlayerError = onPlayerError;
+        this.onFinished = onFinished;
+
+        // Spawn picks come from here, the same seed and inputs play out the same match
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+
+        this.scene = new THREE.Scene();
+        this.office = new Office(this.scene, null);
+        this.office.setMap(mapId, model);
+        this.collisionWorld = this.office.getCollisionWorld();
+
+        // Spawn and arrival points, then the coworkers' desks for more room
+        this.spawns = [
+            ...Object.values(this.office.spawnPoints),
+            ...this.office.getNPCSpawns().map(node => ({ position: node.getWorldPosition(new THREE.Vector3()), yaw: 0 }))
+        ];
+        if (this.spawns.length === 0) {
+            this.spawns.push(this.office.getSpawnPoint('Spawn'));
+        }
+
+        this.time = 0;
+        this.fixedTimeStep = 1 / 60;
+        this.accumulator = 0;
+        this.finished = false;
+        this.projectiles = [];
+        this.players = new Map(); // id -> entry, see addPlayer
+
+        // Scratch objects for hit tests
+        this.ray = new THREE.Ray();
+        this.box = new THREE.Box3();
+        this.direction = new THREE.Vector3();
+        this.feet = new THREE.Vector3();
+        this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+        players.forEach(info => this.addPlayer(info));
+    }
+
+    addPlayer({ id, name, department }) {
+        const input = new ScriptedInput();
+        const player = new Player(this.scene, input);
+        player.collisionWorld = this.collisionWorld;
+
+        const entry = {
+            id,
+            name,
+            department,
+            input,
+            player,
+            commands: [], // steps of input waiting for the next update
+            ack: 0, // last step moved
+            moveTime: 0, // match time the steps moved so far add up to
+            patience: this.rules.patience,
+            alive: true,
+            respawnAt: 0,
+            score: 0,
+            cooldowns: {} // match time each stamp type can be used again
+        };
+        this.players.set(id, entry);
+        this.spawn(entry);
+        return entry;
+    }
+
+    removePlayer(id) {
+        const entry = this.players.get(id);
+        if (!entry) return;
+
+        this.scene.remove(entry.player.mesh, entry.player.camera);
+        this.players.delete(id);
+        this.projectiles = this.projectiles.filter(projectile => projectile.owner !== id);
+        this.broadcast('playerLeft', { id });
+    }
+
+    // As far from everyone still standing as the map allows
+    spawn(entry) {
+        const others = [...this.players.values()]
+            .filter(other => other !== entry && other.alive)
+            .map(other => other.player.getFeetPosition());
+
+        let best = this.spawns[0];
+        let bestDistance = -Infinity;
+        this.spawns.forEach(spawn => {
+            const distance = others.length > 0
+                ? Math.min(...others.map(position => position.distanceTo(spawn.position)))
+                : this.random();
+            if (distance > bestDistance) {
+                best = spawn;
+                bestDistance = distance;
+            }
+        });
+
+        entry.player.teleport(best.position, best.yaw);
+        entry.player.statusEffects.clear();
+        entry.patience = this.rules.patience;
+        entry.alive = true;
+        entry.commands.length = 0;
+        return best;
+    }
+
+    isOpponent(a, b) {
+        return a !== b && (!this.teams || a.department !== b.department);
+    }
+
+    queueInput(id, command) {
+        const entry = this.players.get(id);
+        if (!entry || !command || !(command.s > entry.ack)) return;
+        if (entry.commands.length >= this.settings.maxQueuedInputs) return;
+
+        entry.commands.push(command);
+    }
+
+    // One step of a player's movement, as their client ran it
+    applyCommand(entry, command) {
+        entry.ack = command.s;
+        if (!entry.alive) return;
+
+        // Steps can't add up to more time than has passed, or sending extra
+        // ones would move faster; time not sent, e.g. while dead, isn't banked
+        // beyond the allowance either. Cut steps show up as a correction.
+        entry.moveTime = Math.max(entry.moveTime, this.time - MOVE_ALLOWANCE);
+        const step = Math.min(
+            THREE.MathUtils.clamp(Number(command.d) || 0, 0, MAX_STEP),
+            this.time + MOVE_ALLOWANCE - entry.moveTime
+        );
+        if (step <= 0) return;
+        entry.moveTime += step;
+
+        const { player, input } = entry;
+        const held = Array.isArray(command.h) ? command.h : [];
+        input.setHeld(held.filter(action => MOVEMENT_ACTIONS.includes(action)));
+        input.moveStick.fromArray(readNumbers(command.m, 2)).clampLength(0, 1);
+
+        const quaternion = readNumbers(command.q, 4);
+        if (quaternion.some(value => value !== 0)) {
+            player.head.quaternion.fromArray(quaternion).normalize();
+        }
+
+        if (command.j) {
+            player.jump();
+        }
+        player.update(step);
+
+        this.office.findHazardsAt(player.getFeetPosition(this.feet)).forEach(hazard => {
+            player.statusEffects.apply(hazard.effect);
+        });
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        this.players.forEach(entry => {
+            // Steps that break the match take out their sender, not the match
+            try {
+                entry.commands.forEach(command => this.applyCommand(entry, command));
+            } catch (e) {
+                this.removePlayer(entry.id);
+                this.onPlayerError(entry.id, e);
+                return;
+            }
+            entry.commands.length = 0;
+
+            if (!entry.alive && this.time >= entry.respawnAt) {
+                const spawn = this.spawn(entry);
+                this.broadcast('respawn', { id: entry.id, position: spawn.position.toArray(), yaw: spawn.yaw });
+            }
+        });
+
+        // Documents fly in the same fixed steps as on the clients
+        this.accumulator += deltaTime;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.updateProjectiles(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+
+        if (!this.finished && this.time >= this.rules.timeLimit) {
+            this.finish();
+        }
+    }
+
+    throwDocument(id, { documentType, velocity }) {
+        const entry = this.players.get(id);
+        // Own keys only, 'constructor' and the like aren't documents
+        if (!entry || !entry.alive || !Object.hasOwn(DOCUMENT_TYPES, documentType) || this.finished) return;
+        const stats = DOCUMENT_TYPES[documentType];
+        if (this.projectiles.filter(projectile => projectile.owner === id).length >= MAX_PROJECTILES) return;
+
+        // Thrown from where the server has the player, not where they say they are
+        const launch = new THREE.Vector3().fromArray(readNumbers(velocity, 3));
+        launch.clampLength(0, stats.speed * MAX_THROW_SPEED);
+        const projectile = {
+            owner: id,
+            documentType,
+            position: entry.player.position.clone(),
+            velocity: launch,
+            gravity: stats.gravity,
+            damage: entry.player.statusEffects.modify('damage', stats.damage),
+            age: 0
+        };
+        this.projectiles.push(projectile);
+
+        this.broadcast('projectile', {
+            owner: id,
+            documentType,
+            origin: projectile.position.toArray(),
+            velocity: launch.toArray()
+        });
+    }
+
+    updateProjectiles(deltaTime) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.velocity.y -= projectile.gravity * deltaTime;
+
+            const direction = this.direction.copy(projectile.velocity).normalize();
+            const distance = projectile.velocity.length() * deltaTime;
+
+            const hit = this.findProjectileHit(projectile, direction, distance);
+            if (hit) {
+                this.projectiles.splice(i, 1);
+                if (hit.entry) {
+                    this.hit(hit.entry, projectile.owner, {
+                        kind: 'document',
+                        item: projectile.documentType,
+                        damage: projectile.damage,
+                        point: hit.point
+                    });
+                }
+                continue;
+            }
+
+            projectile.position.addScaledVector(direction, distance);
+            projectile.age += deltaTime;
+            if (projectile.age > PROJECTILE_LIFETIME) {
+                this.projectiles.splice(i, 1);
+            }
+        }
+    }
+
+    // Nearest of the map and the thrower's opponents along this step's path
+    findProjectileHit(projectile, direction, distance) {
+        const owner = this.players.get(projectile.owner);
+        const wall = this.collisionWorld ? this.collisionWorld.raycast(projectile.position, direction, distance) : null;
+        let nearest = wall ? { entry: null, point: wall.point, distance: wall.distance } : null;
+
+        this.ray.set(projectile.position, direction);
+        this.players.forEach(entry => {
+            if (!entry.alive || (owner && !this.isOpponent(owner, entry)) || entry.id === projectile.owner) return;
+
+            const feet = entry.player.getFeetPosition(this.feet);
+            this.box.min.set(feet.x - HIT_RADIUS, feet.y, feet.z - HIT_RADIUS);
+            this.box.max.set(feet.x + HIT_RADIUS, feet.y + entry.player.height, feet.z + HIT_RADIUS);
+
+            const point = this.ray.intersectBox(this.box, new THREE.Vector3());
+            if (!point) return;
+
+            const along = point.distanceTo(projectile.position);
+            if (along <= distance && (!nearest || along < nearest.distance)) {
+                nearest = { entry, point, distance: along };
+            }
+        });
+        return nearest;
+    }
+
+    useStamp(id, { stampType, position }) {
+        const entry = this.players.get(id);
+        if (!entry || !entry.alive || !Object.hasOwn(STAMP_ABILITIES, stampType) || this.finished) return;
+        const ability = STAMP_ABILITIES[stampType];
+        if ((entry.cooldowns[stampType] || 0) > this.time + COOLDOWN_SLACK) return;
+
+        const point = new THREE.Vector3().fromArray(readNumbers(position, 3));
+        if (point.distanceTo(entry.player.position) > STAMP_REACH) return;
+
+        entry.cooldowns[stampType] = this.time + ability.cooldown;
+        if (ability.playerEffect) {
+            entry.player.statusEffects.apply(ability.playerEffect);
+        }
+        this.broadcast('stamp', { owner: id, stampType, position: point.toArray() });
+
+        if (ability.radius <= 0) return;
+
+        const versus = Object.hasOwn(VERSUS_STAMP_EFFECTS, stampType) ? VERSUS_STAMP_EFFECTS[stampType] : {};
+        this.players.forEach(target => {
+            if (!target.alive || !this.isOpponent(entry, target)) return;
+
+            const feet = target.player.getFeetPosition(this.feet);
+            const away = new THREE.Vector3(feet.x - point.x, 0, feet.z - point.z);
+            if (away.length() > ability.radius + HIT_RADIUS || Math.abs(feet.y - point.y) > target.player.height) return;
+
+            // Pushed straight out from where the stamp came down, and off the floor
+            if (versus.knockback) {
+                if (away.lengthSq() === 0) {
+                    away.set(0, 0, 1);
+                }
+                away.setLength(versus.knockback);
+                target.player.velocity.x += away.x;
+                target.player.velocity.z += away.z;
+                target.player.velocity.y = Math.max(target.player.velocity.y, versus.knockback * 0.5);
+                target.player.isOnGround = false;
+            }
+            if (versus.effect) {
+                target.player.statusEffects.apply(versus.effect, versus.duration);
+            }
+
+            this.hit(target, id, {
+                kind: 'stamp',
+                item: stampType,
+                damage: versus.damage || 0,
+                point,
+                effect: versus.effect || null,
+                duration: versus.duration || null
+            });
+        });
+    }
+
+    // Consumables are used on the client; the server needs the ones that change movement
+    applyEffect(id, { effect }) {
+        const entry = this.players.get(id);
+        if (!entry || !entry.alive || !CONSUMABLE_EFFECTS.has(effect)) return;
+
+        entry.player.statusEffects.apply(effect);
+    }
+
+    // kind is document or stamp, item which one
+    hit(target, attackerId, { kind, item, damage, point, effect = null, duration = null }) {
+        if (!target.alive || this.finished) return;
+
+        target.patience = Math.max(0, target.patience - damage);
+        this.broadcast('hit', {
+            attacker: attackerId,
+            target: target.id,
+            kind,
+            item,
+            damage,
+            point: point.toArray(),
+            effect,
+            duration
+        });
+        if (target.patience > 0) return;
+
+        // Buried in paperwork, back after a moment somewhere else
+        target.alive = false;
+        target.respawnAt = this.time + this.rules.respawnTime;
+        const attacker = this.players.get(attackerId);
+        if (attacker && attacker !== target) {
+            attacker.score++;
+        }
+        this.broadcast('eliminated', { attacker: attackerId, target: target.id });
+
+        const scores = this.getScores();
+        const best = Math.max(0, ...Object.values(this.teams ? scores.departments : scores.players));
+        if (best >= this.rules.scoreLimit) {
+            this.finish();
+        }
+    }
+
+    getScores() {
+        const players = {};
+        const departments = {};
+        this.players.forEach(entry => {
+            players[entry.id] = entry.score;
+            if (this.teams) {
+                departments[entry.department] = (departments[entry.department] || 0) + entry.score;
+            }
+        });
+        return { players, departments };
+    }
+
+    // The best player or department, null on a tie
+    getWinner(scores) {
+        const entries = Object.entries(this.teams ? scores.departments : scores.players);
+        if (entries.length === 0) return null;
+
+        entries.sort((a, b) => b[1] - a[1]);
+        if (entries.length > 1 && entries[0][1] === entries[1][1]) return null;
+        return this.teams ? entries[0][0] : Number(entries[0][0]);
+    }
+
+    finish() {
+        if (this.finished) return;
+        this.finished = true;
+
+        const scores = this.getScores();
+        const results = { mode: this.mode, scores, winner: this.getWinner(scores) };
+        this.broadcast('matchEnded', results);
+        this.onFinished(results);
+    }
+
+    snapshot() {
+        return {
+            time: this.time,
+            timeLeft: Math.max(0, this.rules.timeLimit - this.time),
+            scores: this.getScores(),
+            players: [...this.players.values()].map(entry => {
+                const player = entry.player;
+                return {
+                    id: entry.id,
+                    p: player.position.toArray(),
+                    v: player.velocity.toArray(),
+                    g: player.isOnGround,
+                    y: this.euler.setFromQuaternion(player.head.quaternion).y,
+                    ack: entry.ack,
+                    hp: entry.patience,
+                    alive: entry.alive
+                };
+            })
+        };
+    }
+}
@@ -0,0 +1,25 @@
+// index.js - Starts the match server: `npm run server -- [port]`
+import { fileURLToPath } from 'url';
+import { MatchServer } from './MatchServer.js';
+import { loadMapModel } from './MapLoader.js';
+import { MAPS } from '../js/data/maps.js';
+import { MULTIPLAYER_SETTINGS } from '../js/data/multiplayer.js';
+
+// Map files are relative to the project root, as the browser serves them
+const root = fileURLToPath(new URL('..', import.meta.url));
+const port = Number(process.argv[2] || process.env.PORT) || MULTIPLAYER_SETTINGS.port;
+
+const server = new MatchServer({
+    port,
+    loadMap: (mapId) => loadMapModel(root + MAPS[mapId].file)
+});
+server.start().catch((error) => {
+    console.error(error.code === 'EADDRINUSE'
+        ? `Port ${port} is already in use, pick another: npm run server -- <port>`
+        : `Could not start the match server: ${error.message}`);
+    process.exit(1);
+});
+
+process.on('SIGINT', () => {
+    server.stop().then(() => process.exit(0));
+});